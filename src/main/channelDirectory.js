@@ -0,0 +1,134 @@
+// Guild and channel names for a connected account, indexed by ID so each
+// notification can be resolved without scanning every guild. Every profile's
+// connection gets its own directory from createChannelDirectory.
+
+// Discord channel types we treat as direct messages
+const DM_CHANNEL_TYPE = 1
+const GROUP_DM_CHANNEL_TYPE = 3
+
+// How many guilds to fetch channels for at once. The RPC socket is local, but
+// Discord still rate limits commands, so don't fire hundreds at the same time.
+const FETCH_CONCURRENCY = 5
+
+// Run `task` over every item with at most `limit` running at the same time
+const mapConcurrent = async (items, limit, task) => {
+  const results = new Array(items.length)
+  let next = 0
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await task(items[index])
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker))
+  return results
+}
+
+export const createChannelDirectory = () => {
+  let guilds = new Map()
+  let channels = new Map()
+  let isReady = false
+  // Requests already in flight, so a burst from one new channel only asks once
+  let pendingLookups = new Map()
+
+  // Store a channel in the index. Channels from GET_CHANNELS don't say which
+  // guild they belong to, so the guild can be passed in.
+  const indexChannel = (channel, guildId) => {
+    channels.set(channel.id, {
+      id: channel.id,
+      name: channel.name || '',
+      type: channel.type,
+      guildId: guildId ?? channel.guild_id ?? null
+    })
+  }
+
+  // Forget everything, used when the connection goes away
+  const clear = () => {
+    guilds = new Map()
+    channels = new Map()
+    pendingLookups = new Map()
+    isReady = false
+  }
+
+  // Fetch every guild and then their channels, several guilds at a time
+  const load = async (client) => {
+    const fetchedGuilds = (await client.user?.fetchGuilds()) || []
+    for (const guild of fetchedGuilds) {
+      guilds.set(guild.id, { id: guild.id, name: guild.name })
+    }
+
+    await mapConcurrent(fetchedGuilds, FETCH_CONCURRENCY, async (guild) => {
+      try {
+        const guildChannels = (await client.user?.fetchChannels(guild.id)) || []
+        for (const channel of guildChannels) {
+          indexChannel(channel, guild.id)
+        }
+      } catch (error) {
+        console.error(`Failed to fetch channels for guild ${guild.name}`, error)
+      }
+    })
+
+    isReady = true
+    console.log(`Indexed ${channels.size} channels in ${guilds.size} guilds`)
+  }
+
+  // Look a channel up in the index only
+  const getChannelInfo = (channelId) => {
+    const channel = channels.get(channelId)
+    if (!channel) return null
+
+    const isDirectMessage =
+      channel.type === DM_CHANNEL_TYPE || channel.type === GROUP_DM_CHANNEL_TYPE
+    const guild = channel.guildId ? guilds.get(channel.guildId) : null
+
+    if (isDirectMessage) {
+      return {
+        serverId: '',
+        serverName: 'Direct Messages',
+        channelName:
+          channel.name || (channel.type === GROUP_DM_CHANNEL_TYPE ? 'Group DM' : 'Direct Message'),
+        isDirectMessage: true
+      }
+    }
+
+    return {
+      serverId: channel.guildId || '',
+      serverName: guild?.name || 'Unknown Server',
+      channelName: channel.name,
+      isDirectMessage: false
+    }
+  }
+
+  // Look a channel up, asking Discord with GET_CHANNEL if we haven't seen it yet.
+  // This covers DMs, group DMs, threads and channels created after we connected.
+  const resolveChannel = async (client, channelId) => {
+    const known = getChannelInfo(channelId)
+    if (known || !client?.user) return known
+
+    if (!pendingLookups.has(channelId)) {
+      const lookup = client.user
+        .fetchChannel(channelId)
+        .then((channel) => {
+          indexChannel(channel)
+          return getChannelInfo(channelId)
+        })
+        .catch((error) => {
+          console.error(`Failed to look up channel ${channelId}`, error)
+          return null
+        })
+        .finally(() => pendingLookups.delete(channelId))
+      pendingLookups.set(channelId, lookup)
+    }
+
+    return pendingLookups.get(channelId)
+  }
+
+  return { isReady: () => isReady, clear, load, getChannelInfo, resolveChannel }
+}
+
+// Link to a message, DMs live under @me instead of a guild ID
+export const buildMessageLink = (info, channelId, messageId) => {
+  if (!info) return ''
+  const scope = info.isDirectMessage ? '@me' : info.serverId
+  return scope ? `https://discord.com/channels/${scope}/${channelId}/${messageId}` : ''
+}
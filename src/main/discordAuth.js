@@ -0,0 +1,106 @@
+import { RPC_ERROR_CODE } from '@xhayper/discord-rpc'
+
+// OAuth for the RPC connection. We do the token exchange ourselves instead of
+// using client.login so the refresh token can be stored and reused, which lets us
+// skip the authorization prompt on later connects.
+
+const TOKEN_URL = 'https://discord.com/api/v10/oauth2/token'
+
+// Scopes requested when authorizing
+export const SCOPES = ['rpc', 'rpc.notifications.read', 'guilds', 'messages.read', 'rpc.voice.read']
+
+// Refresh a little before the access token actually expires
+const EXPIRY_MARGIN_MS = 60 * 1000
+
+// POST to the token endpoint and turn the response into the tokens we store
+const requestTokens = async (params) => {
+  const response = await fetch(TOKEN_URL, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams(params)
+  })
+  const data = await response.json().catch(() => ({}))
+
+  if (!response.ok || !data.access_token) {
+    const error = new Error(
+      data.error_description || data.error || `Token request failed (${response.status})`
+    )
+    error.code = data.error
+    throw error
+  }
+
+  return {
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token,
+    expiresAt: Date.now() + data.expires_in * 1000,
+    scope: data.scope
+  }
+}
+
+// Ask the Discord client to authorize us and exchange the code for tokens
+const authorize = async (client, { clientId, clientSecret }) => {
+  const { code } = (
+    await client.request('AUTHORIZE', {
+      scopes: SCOPES,
+      client_id: clientId,
+      prompt: 'none' // Only prompt once
+    })
+  ).data
+
+  return requestTokens({
+    client_id: clientId,
+    client_secret: clientSecret,
+    grant_type: 'authorization_code',
+    code
+  })
+}
+
+const refresh = (tokens, { clientId, clientSecret }) =>
+  requestTokens({
+    client_id: clientId,
+    client_secret: clientSecret,
+    grant_type: 'refresh_token',
+    refresh_token: tokens.refreshToken
+  })
+
+// Authenticate a connected client, reusing cached tokens when we have them.
+// Falls back to a full authorization only when the cached tokens have been
+// revoked. `onTokens` is called whenever new tokens are issued so they can be
+// saved right away (a used refresh token stops working).
+export const authenticateClient = async (client, { clientId, clientSecret, tokens, onTokens }) => {
+  if (tokens?.refreshToken) {
+    let current = tokens
+    let revoked = false
+
+    if (current.expiresAt - EXPIRY_MARGIN_MS < Date.now()) {
+      try {
+        current = await refresh(current, { clientId, clientSecret })
+        onTokens(current)
+        console.log('Refreshed cached Discord authorization')
+      } catch (error) {
+        // Anything other than a rejected refresh token (like being offline) is a real failure
+        if (error.code !== 'invalid_grant') throw error
+        revoked = true
+      }
+    }
+
+    if (!revoked) {
+      try {
+        await client.authenticate(current.accessToken)
+        return current
+      } catch (error) {
+        // Only a token Discord turned down is thrown away. Anything else (like
+        // the socket dropping) fails this attempt and the tokens are kept.
+        if (error.code !== RPC_ERROR_CODE.INVALID_TOKEN) throw error
+        console.log('Cached Discord authorization was rejected:', error.message)
+      }
+    }
+
+    onTokens(null)
+  }
+
+  const fresh = await authorize(client, { clientId, clientSecret })
+  onTokens(fresh)
+  await client.authenticate(fresh.accessToken)
+  return fresh
+}
@@ -1,24 +1,110 @@
 import { Client } from '@xhayper/discord-rpc'
-import { ipcMain } from 'electron'
+import { ipcMain, shell, dialog, BrowserWindow } from 'electron'
 import { app } from 'electron'
-import { join } from 'path'
+import { join, extname } from 'path'
+import { EventEmitter } from 'events'
 import fs from 'fs'
+import { randomBytes } from 'crypto'
+import {
+  DEFAULT_RETENTION_LIMIT,
+  loadNotificationStore,
+  setStoreProfiles,
+  setRetentionLimit,
+  addNotification,
+  getNotifications,
+  updateNotification,
+  markNotificationsRead
+} from './notificationStore'
+import {
+  matchesQuery,
+  queryNotifications,
+  getNotificationFacets,
+  getUnreadCounts
+} from './notificationQuery'
+import { EXPORT_FORMATS } from './notificationExport'
+import { getActivityTimeline, getActivitySummary } from './notificationStats'
+import { loadRules, getRules, setRules, evaluateRules } from './notificationRules'
+import { authenticateClient } from './discordAuth'
+import { canEncrypt, encryptSecret, decryptSecret } from './secureStorage'
+import { getRecordingOptions, attachRecorder, createReplayTransport } from './rpcRecording'
+import { createChannelDirectory, buildMessageLink } from './channelDirectory'
+import { collectMentions, getChannelNames } from './messageMentions'
+import { sanitizeQuietHours } from './quietHours'
+import { sanitizeOverlay } from './overlayWindow'
+import { createVoiceTracker, removeVoiceTracker } from './voiceActivity'
+import { createMessageSync } from './messageSync'
+import { broadcast } from './windows'
+import {
+  DEFAULT_PROFILE_ID,
+  createDefaultProfile,
+  normalizeProfiles,
+  hasCredentials
+} from './profiles'
 
-// Will hold our notification data
-let notifications = []
-let isConnected = false
-let client = null
-let guildLookup = []
+// States of the connection to the Discord client
+export const CONNECTION_STATES = {
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  AUTHORIZING: 'authorizing',
+  CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting',
+  FAILED: 'failed'
+}
+
+// Reconnect backoff: 1s, 2s, 4s... up to a minute between attempts
+const RECONNECT_BASE_DELAY_MS = 1000
+const RECONNECT_MAX_DELAY_MS = 60 * 1000
+const MAX_RECONNECT_ATTEMPTS = 20
+
+export const DEFAULT_API_PORT = 7391
+
+// Disk space for cached avatars, icons and emoji, see imageCache.js
+export const DEFAULT_IMAGE_CACHE_MB = 100
 
-// Maximum number of notifications to keep in memory
-const MAX_NOTIFICATIONS = 1000
+// Set from the command line, see rpcRecording.js
+let recordingOptions = { recordPath: '', replayPath: '', replaySpeed: 1 }
+
+// `attempt` counts reconnect attempts, `retryAt` is when the next one starts
+const IDLE_CONNECTION = { state: CONNECTION_STATES.IDLE, attempt: 0, retryAt: null, error: null }
+
+// Each profile that has tried to connect has a session with its client, its
+// connection state, any pending reconnect and its channel directory
+const sessions = new Map()
+
+// Lets other parts of the main process (like the tray) follow the service.
+// Emits 'connection-change' (connections by profile id), 'unread-change' (counts),
+// 'settings-change' (settings), 'notification' (each new unmuted notification)
+// and 'history-change' (profiles' histories were loaded into or dropped from the store).
+export const serviceEvents = new EventEmitter()
 
 // Default settings
 let settings = {
-  clientId: '',
-  clientSecret: ''
+  profiles: [createDefaultProfile()],
+  maxNotifications: DEFAULT_RETENTION_LIMIT,
+  imageCacheSizeMb: DEFAULT_IMAGE_CACHE_MB,
+  // Do Not Disturb, see quietHours.js
+  quietHours: { enabled: false, ranges: [] },
+  dndOverride: null,
+  dndSince: null,
+  // Always-on-top window with the latest notifications, see overlayWindow.js
+  overlay: { enabled: false, style: 'toasts', count: 5, opacity: 0.9, clickThrough: false },
+  minimizeToTray: true,
+  startMinimized: false,
+  // Drop notifications whose message was deleted instead of marking them deleted
+  removeDeletedMessages: false,
+  // Local HTTP/WebSocket API for other tools, off unless turned on
+  apiEnabled: false,
+  apiPort: DEFAULT_API_PORT,
+  apiToken: ''
 }
 
+// Random token for the local API
+const generateApiToken = () => randomBytes(24).toString('hex')
+
+// Cached OAuth tokens ({ accessToken, refreshToken, expiresAt }) by profile id, kept
+// out of `settings` so they are never sent to the renderer
+let authTokens = {}
+
 // Get settings file path
 const getSettingsPath = () => {
   const userDataPath = app.getPath('userData')
@@ -32,9 +118,63 @@ const loadSettings = () => {
     if (fs.existsSync(settingsPath)) {
       const data = fs.readFileSync(settingsPath, 'utf8')
       try {
-        const loadedSettings = JSON.parse(data)
+        const {
+          // Settings files from before profiles had a single set of credentials
+          clientId,
+          clientSecret,
+          encryptedClientSecret,
+          profiles,
+          encryptedApiToken,
+          encryptedTokens,
+          tokens,
+          ...loadedSettings
+        } = JSON.parse(data)
         console.log('Loaded settings from:', settingsPath)
         settings = { ...settings, ...loadedSettings }
+        const isLegacy = !Array.isArray(profiles)
+        let storedProfiles = isLegacy
+          ? [createDefaultProfile({ clientId, clientSecret, encryptedClientSecret })]
+          : profiles
+        let storedTokens = tokens || null
+        // Older settings files kept the secrets in plain text
+        const hasPlaintext = Boolean(
+          loadedSettings.apiToken ||
+            tokens ||
+            storedProfiles.some((profile) => profile.clientSecret)
+        )
+
+        try {
+          storedProfiles = storedProfiles.map((profile) =>
+            profile.encryptedClientSecret
+              ? { ...profile, clientSecret: decryptSecret(profile.encryptedClientSecret) }
+              : profile
+          )
+          if (encryptedApiToken) {
+            settings.apiToken = decryptSecret(encryptedApiToken)
+          }
+          if (encryptedTokens) {
+            storedTokens = JSON.parse(decryptSecret(encryptedTokens))
+          }
+        } catch (decryptError) {
+          // Usually means the file came from another machine or user account
+          console.error('Failed to decrypt stored credentials:', decryptError)
+          storedProfiles = storedProfiles.map((profile) => ({ ...profile, clientSecret: '' }))
+          settings.apiToken = ''
+          storedTokens = null
+        }
+
+        settings.profiles = normalizeProfiles(storedProfiles)
+        // Older files kept the tokens of their one application directly
+        authTokens =
+          (isLegacy && storedTokens ? { [DEFAULT_PROFILE_ID]: storedTokens } : storedTokens) || {}
+
+        // Encrypt plaintext secrets now, and move old files over to profiles
+        if (hasPlaintext && canEncrypt()) {
+          console.log('Encrypting plaintext credentials in settings file')
+          saveSettings()
+        } else if (isLegacy) {
+          saveSettings()
+        }
       } catch (parseError) {
         console.error('Failed to parse settings file:', parseError)
         // File exists but is invalid JSON, back it up and create a new one
@@ -51,6 +191,25 @@ const loadSettings = () => {
   }
 }
 
+// What actually goes in the settings file, with secrets encrypted when possible
+const serializeSettings = () => {
+  if (!canEncrypt()) {
+    console.warn('Secure storage is not available, credentials are stored unencrypted')
+    return { ...settings, tokens: authTokens }
+  }
+
+  const { profiles, apiToken, ...rest } = settings
+  return {
+    ...rest,
+    profiles: profiles.map(({ clientSecret, ...profile }) => ({
+      ...profile,
+      encryptedClientSecret: clientSecret ? encryptSecret(clientSecret) : ''
+    })),
+    encryptedApiToken: apiToken ? encryptSecret(apiToken) : '',
+    encryptedTokens: encryptSecret(JSON.stringify(authTokens))
+  }
+}
+
 // Save settings to file
 const saveSettings = () => {
   const settingsPath = getSettingsPath()
@@ -61,145 +220,652 @@ const saveSettings = () => {
       fs.mkdirSync(directory, { recursive: true })
     }
 
-    fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2), 'utf8')
+    fs.writeFileSync(settingsPath, JSON.stringify(serializeSettings(), null, 2), 'utf8')
     console.log('Saved settings to:', settingsPath)
   } catch (error) {
     console.error('Failed to save settings:', error)
   }
 }
 
-// Initialize the Discord RPC client
-export function initDiscordRpc(mainWindow) {
-  // Load settings
-  loadSettings()
+// Send stored notifications that changed after they were delivered
+export const sendNotificationsUpdated = (notifications) => {
+  broadcast('discord:notifications-updated', notifications)
+}
 
-  // Handle settings update
-  ipcMain.handle('discord:update-settings', async (_, newSettings) => {
-    // Update settings
-    settings = { ...settings, ...newSettings }
-    saveSettings()
-    return { success: true }
+// Send which notifications were removed from the store, as { id, profileId }
+// since each profile has its own copy of a message
+export const sendNotificationsRemoved = (notifications) => {
+  broadcast(
+    'discord:notifications-removed',
+    notifications.map(({ id, profileId }) => ({ id, profileId }))
+  )
+}
+
+// Let the renderer know which notifications became read and the new unread counts
+export const sendReadChange = (ids = []) => {
+  const counts = getUnreadCounts(getNotifications())
+  broadcast('discord:read-change', { ids, counts })
+  serviceEvents.emit('unread-change', counts)
+}
+
+export const getSettings = () => settings
+
+// Change settings from elsewhere in the main process
+export const updateSettings = (changes) => {
+  settings = { ...settings, ...changes }
+  saveSettings()
+  serviceEvents.emit('settings-change', settings)
+}
+
+const getProfile = (profileId) => settings.profiles.find((profile) => profile.id === profileId)
+
+// Session for a profile, created the first time it's needed
+const getSession = (profileId) => {
+  if (!sessions.has(profileId)) {
+    const directory = createChannelDirectory()
+    sessions.set(profileId, {
+      client: null,
+      connection: IDLE_CONNECTION,
+      reconnectTimer: null,
+      directory,
+      voice: createVoiceTracker(profileId, directory),
+      messages: createMessageSync(profileId, directory)
+    })
+  }
+  return sessions.get(profileId)
+}
+
+// Connection state of every profile, by profile id
+export const getConnections = () =>
+  Object.fromEntries(
+    settings.profiles.map((profile) => [
+      profile.id,
+      sessions.get(profile.id)?.connection || IDLE_CONNECTION
+    ])
+  )
+
+const isAnyConnected = () =>
+  [...sessions.values()].some((session) => session.connection.state === CONNECTION_STATES.CONNECTED)
+
+// Tell the renderer and the rest of the main process about connection changes
+const sendConnectionChange = () => {
+  const connections = getConnections()
+  broadcast('discord:connection-change', connections)
+  serviceEvents.emit('connection-change', connections)
+}
+
+// Move a profile's connection state machine to a new state
+const setConnection = (session, changes) => {
+  session.connection = { ...session.connection, ...changes }
+  sendConnectionChange()
+}
+
+// Tear down a session's client without touching the connection state
+const destroyClient = async (session) => {
+  const oldClient = session.client
+  session.client = null
+  session.directory.clear()
+  session.voice.stop()
+  session.messages.stop()
+  if (oldClient) {
+    try {
+      await oldClient.destroy()
+    } catch (error) {
+      console.error('Error closing Discord client', error)
+    }
+  }
+}
+
+const clearReconnectTimer = (session) => {
+  if (session.reconnectTimer) {
+    clearTimeout(session.reconnectTimer)
+    session.reconnectTimer = null
+  }
+}
+
+// Try again later, waiting twice as long after each failed attempt
+const scheduleReconnect = (profileId, error) => {
+  const session = getSession(profileId)
+  clearReconnectTimer(session)
+  const attempt = session.connection.attempt + 1
+
+  if (attempt > MAX_RECONNECT_ATTEMPTS) {
+    setConnection(session, {
+      state: CONNECTION_STATES.FAILED,
+      retryAt: null,
+      error: `Gave up reconnecting after ${MAX_RECONNECT_ATTEMPTS} attempts: ${error}`
+    })
+    return
+  }
+
+  const delay = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** (attempt - 1), RECONNECT_MAX_DELAY_MS)
+  console.log(`Reconnecting profile ${profileId} to Discord in ${delay}ms (attempt ${attempt})`)
+  setConnection(session, {
+    state: CONNECTION_STATES.RECONNECTING,
+    attempt,
+    retryAt: Date.now() + delay,
+    error
   })
+  session.reconnectTimer = setTimeout(() => {
+    session.reconnectTimer = null
+    openConnection(profileId)
+  }, delay)
+}
 
-  // Handle getting settings
-  ipcMain.handle('discord:get-settings', async () => {
-    return settings
+// Subscribe to events and fetch server data once we're authenticated
+const handleReady = async (profileId, readyClient) => {
+  console.log(`Profile ${profileId} connected to Discord`)
+  const session = getSession(profileId)
+  setConnection(session, {
+    state: CONNECTION_STATES.CONNECTED,
+    attempt: 0,
+    retryAt: null,
+    error: null
   })
 
-  // Listen for connection request from renderer
-  ipcMain.handle('discord:connect', async () => {
-    try {
-      if (client) {
-        return { success: true, isConnected }
-      }
+  try {
+    await readyClient.subscribe('NOTIFICATION_CREATE')
+    console.log('Subscribed to notifications')
+  } catch (error) {
+    console.error('Failed to subscribe to notifications', error)
+  }
 
-      // Check if client ID and secret are provided and not empty
-      if (!settings.clientId?.trim() || !settings.clientSecret?.trim()) {
-        console.error('Missing or empty client ID or secret')
-        return {
-          success: false,
-          error: 'Missing or empty client ID or secret. Please configure them in settings.'
-        }
-      }
+  let directoryLoaded = true
+  try {
+    await session.directory.load(readyClient)
+  } catch (error) {
+    console.error('Failed to fetch guilds or channels', error)
+    directoryLoaded = false
+  }
+
+  // The client may have been replaced while the directory was loading
+  if (session.client !== readyClient) return
+
+  // Started after the directory so voice channels get their server's name
+  session.voice.start(readyClient)
+  session.messages.start(readyClient)
+  if (directoryLoaded) {
+    await resolvePendingNotifications(profileId, readyClient)
+  }
+}
 
-      client = new Client({
-        clientId: settings.clientId.trim(),
-        clientSecret: settings.clientSecret.trim(),
-        transport: {
-          type: 'ipc'
+// Fill in server and channel names for a profile's notifications that arrived
+// before the directory was ready (or while we were offline), one lookup per channel
+const resolvePendingNotifications = async (profileId, readyClient) => {
+  const session = getSession(profileId)
+  // History from before the directory existed has no flag, just an empty link
+  const pending = getNotifications().filter(
+    (notification) =>
+      notification.profileId === profileId && (notification.unresolved || !notification.messageLink)
+  )
+  if (pending.length === 0) return
+
+  const channelIds = [...new Set(pending.map((notification) => notification.channelId))]
+  const updated = []
+
+  for (const channelId of channelIds) {
+    const info = await session.directory.resolveChannel(readyClient, channelId)
+    if (!info || session.client !== readyClient) continue
+
+    for (const notification of pending) {
+      if (notification.channelId !== channelId) continue
+
+      const changes = {
+        serverId: info.serverId,
+        serverName: info.serverName,
+        channelName: info.channelName,
+        messageLink: buildMessageLink(info, channelId, notification.id),
+        unresolved: false,
+        // Mentioned channels may not have been indexed yet either
+        mentions: {
+          ...notification.mentions,
+          channels: getChannelNames(notification.body, session.directory)
         }
+      }
+      // Server and channel rules couldn't match before, so check again. It's
+      // already in the history, so a drop rule only hides it.
+      const { drop, muted, highlighted, breakthrough, tags } = evaluateRules({
+        ...notification,
+        ...changes
       })
 
-      // Set up event handlers
-      client.on('ready', async () => {
-        console.log('Connected to Discord')
-        isConnected = true
-        mainWindow.webContents.send('discord:connection-change', isConnected)
+      const result = updateNotification(
+        notification.id,
+        { ...changes, muted: drop || muted, highlighted, breakthrough, tags },
+        notification.profileId
+      )
+      if (result) updated.push(result)
+    }
+  }
 
-        try {
-          await client.subscribe('NOTIFICATION_CREATE')
-          console.log('Subscribed to notifications')
-        } catch (error) {
-          console.error('Failed to subscribe to notifications', error)
-        }
+  if (updated.length > 0) {
+    console.log(`Resolved ${updated.length} notifications`)
+    sendNotificationsUpdated(updated)
+    sendReadChange()
+  }
+}
 
-        try {
-          const guilds = await client.user?.fetchGuilds()
-
-          if (guilds) {
-            for (const guild of guilds) {
-              const channels = await client.user?.fetchChannels(guild.id)
-              if (channels) {
-                guildLookup.push({ name: guild.name, id: guild.id, channels: channels })
-              }
-            }
-          }
-          console.log('Guilds and channels fetched')
-        } catch (error) {
-          console.error('Failed to fetch guilds or channels', error)
+// Where a profile's session is recorded. With several profiles each gets its own
+// file, named after the one given on the command line.
+const getRecordPath = (profileId) => {
+  const { recordPath } = recordingOptions
+  if (!recordPath || settings.profiles.length === 1) return recordPath
+  const extension = extname(recordPath)
+  return `${recordPath.slice(0, recordPath.length - extension.length)}-${profileId}${extension}`
+}
+
+// The IPC transport reads pipe 0 as no pipe at all and scans every pipe, so
+// that one is pinned with a path list where every pipe id maps to
+// discord-ipc-0. The locations are the transport's own: the runtime directory
+// for regular installs, then snap and flatpak on Linux.
+const getPipeZeroPathList = () => {
+  const runtimeDirectory = () => {
+    const { XDG_RUNTIME_DIR, TMPDIR, TMP, TEMP } = process.env
+    return fs.realpathSync(XDG_RUNTIME_DIR ?? TMPDIR ?? TMP ?? TEMP ?? '/tmp')
+  }
+  return [
+    { platform: ['win32'], format: () => '\\\\?\\pipe\\discord-ipc-0' },
+    { platform: ['darwin', 'linux'], format: () => join(runtimeDirectory(), 'discord-ipc-0') },
+    {
+      platform: ['linux'],
+      format: () => join(runtimeDirectory(), 'snap.discord', 'discord-ipc-0')
+    },
+    {
+      platform: ['linux'],
+      format: () => join(runtimeDirectory(), 'app', 'com.discordapp.Discord', 'discord-ipc-0')
+    }
+  ]
+}
+
+// One connection attempt: open the IPC socket, then authorize and authenticate.
+// Socket failures are retried with backoff, authorization failures are not.
+const openConnection = async (profileId) => {
+  const session = getSession(profileId)
+  const profile = getProfile(profileId)
+  if (!profile) return { success: false, error: 'Profile no longer exists' }
+
+  const isRetry = session.connection.state === CONNECTION_STATES.RECONNECTING
+  const { replayPath, replaySpeed } = recordingOptions
+  const recordPath = getRecordPath(profileId)
+
+  let thisClient
+  try {
+    thisClient = new Client({
+      clientId: profile.clientId,
+      clientSecret: profile.clientSecret,
+      // Without a pipe the client connects to whichever Discord it finds first
+      pipeId: profile.pipeId ?? undefined,
+      transport: {
+        // A recorded session stands in for the Discord client when replaying
+        type: replayPath ? createReplayTransport(replayPath, replaySpeed) : 'ipc',
+        pathList: profile.pipeId === 0 ? getPipeZeroPathList() : undefined
+      }
+    })
+  } catch (error) {
+    console.error('Failed to load recording', error)
+    setConnection(session, { state: CONNECTION_STATES.FAILED, retryAt: null, error: error.message })
+    return { success: false, error: error.message }
+  }
+  session.client = thisClient
+
+  if (recordPath && !replayPath) {
+    attachRecorder(thisClient, recordPath)
+  }
+
+  thisClient.on('NOTIFICATION_CREATE', async (data) => {
+    console.log('Notification received:', data)
+    // Until the directory has loaded only use what's already indexed, the rest
+    // gets resolved in one pass once it's ready
+    const { directory } = session
+    const info = directory.isReady()
+      ? await directory.resolveChannel(thisClient, data.channel_id)
+      : directory.getChannelInfo(data.channel_id)
+
+    const mentions = collectMentions(data.message, data.body, directory)
+    const notification = processNotification(data, info, profileId, mentions)
+
+    // Dropped by a rule
+    if (!notification) return
+
+    const stored = addNotification(notification)
+    if (!stored) return
+    // Already stored, the renderer only needs the names that were filled in
+    if (stored.type === 'updated') {
+      sendNotificationsUpdated([stored.notification])
+      return
+    }
+
+    // Edits and deletions in its channel are followed from now on
+    session.messages.follow(notification.channelId)
+
+    // Muted notifications are stored but stay out of the live feed
+    if (!notification.muted) {
+      broadcast('discord:notification', notification)
+      serviceEvents.emit('notification', notification)
+      sendReadChange()
+    }
+  })
+
+  // The IPC socket closed, usually because Discord quit or restarted
+  // (drops during an attempt are handled where that attempt fails)
+  thisClient.on('disconnected', () => {
+    if (session.client !== thisClient || session.connection.state !== CONNECTION_STATES.CONNECTED) {
+      return
+    }
+    console.log(`Profile ${profileId} disconnected from Discord`)
+    destroyClient(session)
+    scheduleReconnect(profileId, 'Connection to Discord was lost')
+  })
+
+  let phase = CONNECTION_STATES.CONNECTING
+  try {
+    if (!isRetry) setConnection(session, { state: phase, retryAt: null, error: null })
+    await thisClient.connect()
+
+    phase = CONNECTION_STATES.AUTHORIZING
+    setConnection(session, { state: phase, retryAt: null })
+    if (replayPath) {
+      // Recordings don't need (or contain) a real token
+      await thisClient.authenticate('replay')
+    } else {
+      await authenticateClient(thisClient, {
+        clientId: profile.clientId,
+        clientSecret: profile.clientSecret,
+        tokens: authTokens[profileId] || null,
+        onTokens: (tokens) => {
+          authTokens = { ...authTokens, [profileId]: tokens }
+          saveSettings()
         }
       })
+    }
 
-      client.on('NOTIFICATION_CREATE', (data) => {
-        console.log('Notification received:', data)
-        const notification = processNotification(data)
-        notifications.unshift(notification)
+    // Disconnected or cancelled while we were waiting
+    if (session.client !== thisClient) return { success: false, error: 'Connection was cancelled' }
 
-        // Limit the total number of stored notifications
-        if (notifications.length > MAX_NOTIFICATIONS) {
-          notifications = notifications.slice(0, MAX_NOTIFICATIONS)
-        }
+    // Subscriptions and server data load in the background
+    handleReady(profileId, thisClient)
+    return { success: true, isConnected: true }
+  } catch (error) {
+    console.error('Failed to connect to Discord', error)
+    if (session.client !== thisClient) return { success: false, error: 'Connection was cancelled' }
+    await destroyClient(session)
 
-        // Send to renderer
-        mainWindow.webContents.send('discord:notification', notification)
+    if (phase === CONNECTION_STATES.CONNECTING && isRetry) {
+      scheduleReconnect(profileId, error.message)
+    } else {
+      setConnection(session, {
+        state: CONNECTION_STATES.FAILED,
+        retryAt: null,
+        error: error.message
       })
+    }
+    return { success: false, error: error.message }
+  }
+}
 
-      client.on('disconnect', () => {
-        console.log('Disconnected from Discord')
-        isConnected = false
-        guildLookup = []
-        mainWindow.webContents.send('discord:connection-change', isConnected)
-      })
+// Profiles that connecting without naming one should start. Replays only play
+// into the first profile.
+const getConnectableProfiles = () => {
+  if (recordingOptions.replayPath) return settings.profiles.slice(0, 1)
+  const configured = settings.profiles.filter(hasCredentials)
+  // Nothing is set up yet, so let the first profile report what's missing
+  return configured.length ? configured : settings.profiles.slice(0, 1)
+}
 
-      // Login
-      await client.login({
-        scopes: ['rpc', 'rpc.notifications.read', 'guilds', 'messages.read', 'rpc.voice.read'],
-        prompt: 'none' // Only prompt once
-      })
+// Connect one profile to its Discord client and start listening for notifications
+const connectProfile = async (profileId) => {
+  const profile = getProfile(profileId)
+  if (!profile) return { success: false, error: 'Unknown profile' }
 
-      return { success: true, isConnected: true }
-    } catch (error) {
-      console.error('Failed to connect to Discord', error)
-      return { success: false, error: error.message }
+  const session = getSession(profileId)
+  if (
+    [
+      CONNECTION_STATES.CONNECTING,
+      CONNECTION_STATES.AUTHORIZING,
+      CONNECTION_STATES.CONNECTED
+    ].includes(session.connection.state)
+  ) {
+    return { success: true, isConnected: session.connection.state === CONNECTION_STATES.CONNECTED }
+  }
+
+  let error = null
+  if (recordingOptions.replayPath) {
+    if (profileId !== settings.profiles[0].id) {
+      error = 'Only the first profile can be used while replaying a recording.'
+    }
+  } else if (!hasCredentials(profile)) {
+    // Check if client ID and secret are provided and not empty (replays don't need them)
+    console.error('Missing or empty client ID or secret')
+    error = 'Missing or empty client ID or secret. Please configure them in settings.'
+  }
+  if (error) {
+    setConnection(session, { state: CONNECTION_STATES.FAILED, retryAt: null, error })
+    return { success: false, error }
+  }
+
+  // Connecting by hand skips any pending retry and starts the backoff over
+  clearReconnectTimer(session)
+  session.connection = { ...session.connection, attempt: 0 }
+  return openConnection(profileId)
+}
+
+// Connect a profile, or every configured profile when none is given
+export const connectDiscord = async (profileId) => {
+  if (profileId) return connectProfile(profileId)
+
+  const results = await Promise.all(
+    getConnectableProfiles().map((profile) => connectProfile(profile.id))
+  )
+  return (
+    results.find((result) => !result.success) || { success: true, isConnected: isAnyConnected() }
+  )
+}
+
+// Disconnect a profile's client, stored notifications are kept
+const disconnectProfile = async (profileId) => {
+  const session = sessions.get(profileId)
+  if (!session) return
+  clearReconnectTimer(session)
+  await destroyClient(session)
+  setConnection(session, IDLE_CONNECTION)
+}
+
+// Disconnect a profile, or every profile when none is given
+export const disconnectDiscord = async (profileId) => {
+  try {
+    const profileIds = profileId ? [profileId] : [...sessions.keys()]
+    await Promise.all(profileIds.map(disconnectProfile))
+    return { success: true }
+  } catch (error) {
+    console.error('Error disconnecting from Discord', error)
+    return { success: false, error: error.message }
+  }
+}
+
+// Stop a profile's pending reconnect (or every one), leaving it disconnected
+export const cancelReconnect = (profileId) => {
+  const reconnecting = [...sessions.entries()].filter(
+    ([id, session]) =>
+      (!profileId || id === profileId) &&
+      session.connection.state === CONNECTION_STATES.RECONNECTING
+  )
+  if (reconnecting.length === 0) {
+    return { success: false, error: 'Not reconnecting' }
+  }
+
+  for (const [, session] of reconnecting) {
+    clearReconnectTimer(session)
+    setConnection(session, IDLE_CONNECTION)
+  }
+  return { success: true }
+}
+
+// Mark one notification, a list of them, a channel, a server or everything as read
+export const markRead = ({ id, profileId, ids, channelId, serverId, all } = {}) => {
+  let predicate
+  if (all) {
+    predicate = () => true
+  } else if (id) {
+    // Only that profile's copy when it's given
+    predicate = (notification) =>
+      notification.id === id && (!profileId || notification.profileId === profileId)
+  } else if (ids?.length) {
+    const idSet = new Set(ids)
+    predicate = (notification) => idSet.has(notification.id)
+  } else if (channelId) {
+    predicate = (notification) => notification.channelId === channelId
+  } else if (serverId !== undefined) {
+    predicate = (notification) => notification.serverId === serverId
+  } else {
+    return { success: false, error: 'Nothing to mark as read' }
+  }
+
+  const readIds = markNotificationsRead(predicate)
+  if (readIds.length) sendReadChange(readIds)
+  return { success: true, ids: readIds }
+}
+
+export const getUnreadTotal = () => getUnreadCounts(getNotifications()).total
+
+// Replace the profile list. Removed profiles are disconnected and lose their
+// tokens and history. Profiles whose credentials or pipe changed are
+// disconnected so the next connect uses the new ones.
+const applyProfiles = async (profiles) => {
+  const previous = settings.profiles
+  settings = { ...settings, profiles: normalizeProfiles(profiles) }
+
+  for (const old of previous) {
+    const profile = getProfile(old.id)
+    if (!profile) {
+      await disconnectProfile(old.id)
+      sessions.delete(old.id)
+      removeVoiceTracker(old.id)
+      delete authTokens[old.id]
+      continue
+    }
+
+    // Tokens belong to the application they were issued for
+    if (profile.clientId !== old.clientId) {
+      delete authTokens[old.id]
+    }
+    if (
+      profile.clientId !== old.clientId ||
+      profile.clientSecret !== old.clientSecret ||
+      profile.pipeId !== old.pipeId
+    ) {
+      await disconnectProfile(old.id)
+    }
+  }
+
+  if (setStoreProfiles(settings.profiles.map((profile) => profile.id))) {
+    serviceEvents.emit('history-change')
+  }
+  // Names and the set of profiles may have changed
+  sendConnectionChange()
+  sendReadChange()
+}
+
+// Initialize the Discord RPC client
+export function initDiscordRpc() {
+  recordingOptions = getRecordingOptions()
+
+  // Load settings
+  loadSettings()
+
+  // Load notification history so the feed is available before connecting
+  loadNotificationStore(
+    settings.maxNotifications,
+    settings.profiles.map((profile) => profile.id)
+  )
+
+  // Load highlight/mute/tag rules
+  loadRules()
+
+  // Handle settings update
+  ipcMain.handle('discord:update-settings', async (_, { profiles, ...newSettings }) => {
+    // Update settings
+    settings = { ...settings, ...newSettings }
+    if (newSettings.quietHours !== undefined) {
+      settings.quietHours = sanitizeQuietHours(newSettings.quietHours)
+    }
+    if (newSettings.overlay !== undefined) {
+      settings.overlay = sanitizeOverlay(newSettings.overlay)
+    }
+    if (profiles !== undefined) {
+      await applyProfiles(profiles)
+    }
+    if (settings.apiEnabled && !settings.apiToken) {
+      settings.apiToken = generateApiToken()
+    }
+    saveSettings()
+
+    if (newSettings.maxNotifications !== undefined) {
+      setRetentionLimit(settings.maxNotifications)
     }
+    serviceEvents.emit('settings-change', settings)
+    return { success: true }
   })
 
-  // Listen for disconnect request
-  ipcMain.handle('discord:disconnect', async () => {
-    try {
-      if (client) {
-        await client.destroy()
-        client = null
-        isConnected = false
-        guildLookup = []
-        mainWindow.webContents.send('discord:connection-change', isConnected)
-      }
-      return { success: true }
-    } catch (error) {
-      console.error('Error disconnecting from Discord', error)
-      return { success: false, error: error.message }
+  // Handle getting settings
+  ipcMain.handle('discord:get-settings', async () => {
+    return {
+      ...settings,
+      profiles: settings.profiles.map((profile) => ({
+        ...profile,
+        hasAuthorization: Boolean(authTokens[profile.id])
+      })),
+      isReplay: Boolean(recordingOptions.replayPath)
     }
   })
 
+  // Drop a profile's cached tokens so its next connect asks Discord to authorize again
+  ipcMain.handle('discord:forget-authorization', async (_, profileId) => {
+    delete authTokens[profileId]
+    saveSettings()
+    await disconnectDiscord(profileId)
+    return { success: true }
+  })
+
+  // Replace the local API token, which disconnects anything using the old one
+  ipcMain.handle('discord:regenerate-api-token', async () => {
+    settings = { ...settings, apiToken: generateApiToken() }
+    saveSettings()
+    serviceEvents.emit('settings-change', settings)
+    return { success: true, apiToken: settings.apiToken }
+  })
+
+  // Handle getting and replacing notification rules
+  ipcMain.handle('discord:get-rules', async () => {
+    return getRules()
+  })
+
+  ipcMain.handle('discord:update-rules', async (_, newRules) => {
+    return { success: true, rules: setRules(newRules) }
+  })
+
+  // Listen for connection request from renderer, for one profile or all of them
+  ipcMain.handle('discord:connect', (_, profileId) => connectDiscord(profileId))
+
+  // Listen for disconnect request
+  ipcMain.handle('discord:disconnect', (_, profileId) => disconnectDiscord(profileId))
+
+  // Stop waiting for the next reconnect attempt
+  ipcMain.handle('discord:cancel-reconnect', (_, profileId) => cancelReconnect(profileId))
+
+  // Full connection state of every profile, including reconnect progress
+  ipcMain.handle('discord:get-connections', () => getConnections())
+
   // Listen for request to get all notifications
   ipcMain.handle('discord:get-notifications', () => {
     // Initially return a smaller batch of notifications
-    return notifications.slice(0, 20)
+    return getNotifications().slice(0, 20)
   })
 
   // Listen for request to get paginated notifications
   ipcMain.handle('discord:get-notifications-page', (_, { page, perPage }) => {
-    const startIndex = 0
+    const notifications = getNotifications()
+    // Only return the requested page, callers append it to what they already have
+    const startIndex = (page - 1) * perPage
     const endIndex = page * perPage
     return {
       notifications: notifications.slice(startIndex, endIndex),
@@ -208,44 +874,118 @@ export function initDiscordRpc(mainWindow) {
     }
   })
 
+  // Search and filter stored notifications, paged by message id cursors
+  ipcMain.handle('discord:query-notifications', (_, query) => {
+    return queryNotifications(getNotifications(), query)
+  })
+
+  // Servers and channels available to filter on
+  ipcMain.handle('discord:get-notification-facets', () => {
+    return getNotificationFacets(getNotifications())
+  })
+
+  // Unread totals for the whole feed and per server
+  ipcMain.handle('discord:get-unread-counts', () => {
+    return getUnreadCounts(getNotifications())
+  })
+
+  // Notifications per hour or day for the stats view, `query` takes the feed's
+  // filters plus `bucket` ('hour' or 'day')
+  ipcMain.handle('discord:get-activity-timeline', (_, query = {}) => {
+    const notifications = getNotifications().filter((n) => matchesQuery(n, query))
+    return getActivityTimeline(notifications, query)
+  })
+
+  // Top servers, channels and senders, busiest hours and open times for the stats view
+  ipcMain.handle('discord:get-activity-summary', (_, query = {}) => {
+    return getActivitySummary(getNotifications().filter((n) => matchesQuery(n, query)))
+  })
+
+  // Mark notifications, a channel, a server or everything as read
+  ipcMain.handle('discord:mark-read', (_, target) => markRead(target))
+
+  // Open a notification's message in Discord and mark it read
+  ipcMain.handle('discord:open-notification', (_, { id, profileId }) => {
+    const notification = getNotifications().find((n) => n.id === id && n.profileId === profileId)
+    if (!notification?.messageLink) {
+      return { success: false, error: 'Notification has no message link' }
+    }
+
+    shell.openExternal(notification.messageLink)
+    // The first open is what the stats view measures response times by
+    if (!notification.openedAt) {
+      updateNotification(id, { openedAt: Date.now() }, profileId)
+    }
+    markRead({ id, profileId })
+    return { success: true }
+  })
+
+  // Write every notification matching the query to a file the user picks
+  ipcMain.handle('discord:export-notifications', async (event, { format, query }) => {
+    const exporter = EXPORT_FORMATS[format]
+    if (!exporter) {
+      return { success: false, error: `Unknown export format: ${format}` }
+    }
+
+    const notifications = getNotifications().filter((n) => matchesQuery(n, query))
+    if (notifications.length === 0) {
+      return { success: false, error: 'There are no notifications to export' }
+    }
+
+    const date = new Date().toISOString().slice(0, 10)
+    // Over whichever window asked for it, main or pop-out
+    const window = BrowserWindow.fromWebContents(event.sender)
+    const { canceled, filePath } = await dialog.showSaveDialog(window, {
+      title: 'Export notifications',
+      defaultPath: `discord-notifications-${date}.${exporter.extension}`,
+      filters: [{ name: exporter.name, extensions: [exporter.extension] }]
+    })
+    if (canceled || !filePath) {
+      return { success: false, canceled: true }
+    }
+
+    try {
+      await fs.promises.writeFile(filePath, exporter.serialize(notifications), 'utf8')
+      return { success: true, filePath, count: notifications.length }
+    } catch (error) {
+      console.error('Failed to export notifications', error)
+      return { success: false, error: error.message }
+    }
+  })
+
   // Listen for connection status check
   ipcMain.handle('discord:is-connected', () => {
-    return isConnected
+    return isAnyConnected()
   })
 }
 
-// Helper function to process a notification
-function processNotification(data) {
-  const serverInfo = getServerFromChannel(data.channel_id)
-  const isUnknown = typeof serverInfo === 'string'
-
-  return {
+// Helper function to process a notification, returns null if a rule drops it.
+// `info` is the channel from the directory, or null if it couldn't be resolved yet.
+function processNotification(data, info, profileId, mentions) {
+  const notification = {
     id: data.message.id,
+    profileId,
     title: data.title,
     body: data.body,
     icon: data.icon_url,
     timestamp: data.message.timestamp,
-    serverName: isUnknown ? 'Unknown Server' : serverInfo.server,
-    channelName: isUnknown ? '' : serverInfo.channel,
-    serverId: isUnknown ? '' : serverInfo.serverid,
+    serverName: info ? info.serverName : 'Unknown Server',
+    channelName: info ? info.channelName : '',
+    serverId: info ? info.serverId : '',
     channelId: data.channel_id,
-    messageLink: isUnknown
-      ? ''
-      : `https://discord.com/channels/${serverInfo.serverid}/${data.channel_id}/${data.message.id}`,
+    messageLink: buildMessageLink(info, data.channel_id, data.message.id),
+    unresolved: !info,
+    mentions,
     author: {
       name: data.message.nick || 'Unknown User',
       avatar: data.icon_url
     }
   }
-}
 
-function getServerFromChannel(channelID) {
-  for (const guild of guildLookup) {
-    for (const channel of guild.channels) {
-      if (channel.id === channelID) {
-        return { server: guild.name, serverid: guild.id, channel: channel.name }
-      }
-    }
+  const { drop, muted, highlighted, breakthrough, tags } = evaluateRules(notification)
+  if (drop) {
+    return null
   }
-  return 'Unknown Server'
+
+  return { ...notification, muted, highlighted, breakthrough, tags, read: false }
 }
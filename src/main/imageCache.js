@@ -0,0 +1,204 @@
+import { app, protocol, net, ipcMain } from 'electron'
+import { join } from 'path'
+import fs from 'fs'
+import { createHash } from 'crypto'
+import { serviceEvents, getSettings, DEFAULT_IMAGE_CACHE_MB } from './discordRpcService'
+
+// Avatars, server icons and emoji from Discord's CDN, downloaded once and kept
+// on disk. The renderer loads discord-image://cdn/<path> instead of
+// https://cdn.discordapp.com/<path>, and the least recently used files are
+// removed once the cache is over its size limit.
+
+export const IMAGE_SCHEME = 'discord-image'
+
+const CDN_ORIGIN = 'https://cdn.discordapp.com'
+const DEFAULT_AVATAR_URL = `${CDN_ORIGIN}/embed/avatars/0.png`
+
+// How long to wait after a change before writing the index to disk
+const SAVE_DELAY_MS = 1000
+
+// Shown when an image can't be downloaded and the default avatar never was either
+const FALLBACK_AVATAR = {
+  data: Buffer.from(
+    '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 64">' +
+      '<circle cx="32" cy="32" r="32" fill="#5865f2"/>' +
+      '<circle cx="32" cy="26" r="11" fill="#fff"/>' +
+      '<path d="M13 53c3-10 10-16 19-16s16 6 19 16" fill="#fff"/></svg>'
+  ),
+  type: 'image/svg+xml'
+}
+
+// Cached images by CDN url: { file, size, type, lastUsed }
+let entries = new Map()
+let limitBytes = DEFAULT_IMAGE_CACHE_MB * 1024 * 1024
+let saveTimer = null
+// Downloads in flight, so a burst of notifications with one avatar only fetches it once
+const pending = new Map()
+
+const getCacheDirectory = () => join(app.getPath('userData'), 'image-cache')
+const getIndexPath = () => join(getCacheDirectory(), 'index.json')
+
+const toLimitBytes = (megabytes) => {
+  const parsed = parseInt(megabytes, 10)
+  return (Number.isFinite(parsed) && parsed > 0 ? parsed : DEFAULT_IMAGE_CACHE_MB) * 1024 * 1024
+}
+
+const getUsedBytes = () => [...entries.values()].reduce((total, entry) => total + entry.size, 0)
+
+// Write the index to disk right away
+export const flushImageCache = () => {
+  if (saveTimer) {
+    clearTimeout(saveTimer)
+    saveTimer = null
+  }
+
+  try {
+    fs.mkdirSync(getCacheDirectory(), { recursive: true })
+    const tempPath = `${getIndexPath()}.tmp`
+    fs.writeFileSync(tempPath, JSON.stringify({ version: 1, entries: [...entries] }), 'utf8')
+    fs.renameSync(tempPath, getIndexPath())
+  } catch (error) {
+    console.error('Failed to save image cache index:', error)
+  }
+}
+
+// Every hit updates the index, so batch up writes
+const scheduleSave = () => {
+  if (saveTimer) return
+  saveTimer = setTimeout(flushImageCache, SAVE_DELAY_MS)
+}
+
+// Load the index, leaving out files that have gone missing
+const loadIndex = () => {
+  try {
+    if (!fs.existsSync(getIndexPath())) return
+    const parsed = JSON.parse(fs.readFileSync(getIndexPath(), 'utf8'))
+    entries = new Map(
+      (Array.isArray(parsed.entries) ? parsed.entries : []).filter(([, entry]) =>
+        fs.existsSync(join(getCacheDirectory(), entry.file))
+      )
+    )
+  } catch (error) {
+    // The files are only a cache, starting over is fine
+    console.error('Failed to load image cache index:', error)
+    entries = new Map()
+  }
+}
+
+const removeFile = (entry) =>
+  fs.rm(join(getCacheDirectory(), entry.file), { force: true }, (error) => {
+    if (error) console.error('Failed to remove cached image:', error)
+  })
+
+// Remove least recently used images until the cache fits its limit. The
+// default avatar stays, it's what's shown offline.
+const evict = () => {
+  let used = getUsedBytes()
+  if (used <= limitBytes) return
+
+  const oldestFirst = [...entries].sort((a, b) => a[1].lastUsed - b[1].lastUsed)
+  for (const [url, entry] of oldestFirst) {
+    if (used <= limitBytes) break
+    if (url === DEFAULT_AVATAR_URL) continue
+    entries.delete(url)
+    removeFile(entry)
+    used -= entry.size
+  }
+  scheduleSave()
+}
+
+const readCached = async (url) => {
+  const entry = entries.get(url)
+  if (!entry) return null
+
+  try {
+    const data = await fs.promises.readFile(join(getCacheDirectory(), entry.file))
+    entry.lastUsed = Date.now()
+    scheduleSave()
+    return { data, type: entry.type }
+  } catch (error) {
+    console.error('Failed to read cached image:', error)
+    entries.delete(url)
+    scheduleSave()
+    return null
+  }
+}
+
+const download = async (url) => {
+  const response = await net.fetch(url)
+  if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+  const type = response.headers.get('content-type') || ''
+  if (!type.startsWith('image/')) throw new Error(`Unexpected content type ${type}`)
+
+  const data = Buffer.from(await response.arrayBuffer())
+  const file = createHash('sha256').update(url).digest('hex')
+  await fs.promises.mkdir(getCacheDirectory(), { recursive: true })
+  await fs.promises.writeFile(join(getCacheDirectory(), file), data)
+
+  entries.set(url, { file, size: data.length, type, lastUsed: Date.now() })
+  evict()
+  scheduleSave()
+  return { data, type }
+}
+
+// An image from the cache, downloading it the first time. When that fails
+// (usually because we're offline) the default avatar is shown instead.
+const getImage = async (url) => {
+  const cached = await readCached(url)
+  if (cached) return cached
+
+  if (!pending.has(url)) {
+    pending.set(
+      url,
+      download(url).finally(() => pending.delete(url))
+    )
+  }
+
+  try {
+    return await pending.get(url)
+  } catch (error) {
+    console.error(`Failed to download ${url}:`, error.message)
+    return (url !== DEFAULT_AVATAR_URL && (await readCached(DEFAULT_AVATAR_URL))) || FALLBACK_AVATAR
+  }
+}
+
+const handleRequest = async (request) => {
+  const { host, pathname, search } = new URL(request.url)
+  if (host !== 'cdn') return new Response(null, { status: 404 })
+
+  const { data, type } = await getImage(`${CDN_ORIGIN}${pathname}${search}`)
+  return new Response(data, { headers: { 'content-type': type } })
+}
+
+// Has to happen before the app is ready
+export const registerImageScheme = () => {
+  protocol.registerSchemesAsPrivileged([
+    { scheme: IMAGE_SCHEME, privileges: { standard: true, secure: true } }
+  ])
+}
+
+export function initImageCache() {
+  loadIndex()
+  limitBytes = toLimitBytes(getSettings().imageCacheSizeMb)
+  evict()
+
+  protocol.handle(IMAGE_SCHEME, handleRequest)
+
+  serviceEvents.on('settings-change', (settings) => {
+    limitBytes = toLimitBytes(settings.imageCacheSizeMb)
+    evict()
+  })
+
+  ipcMain.handle('discord:get-image-cache-usage', () => ({
+    files: entries.size,
+    bytes: getUsedBytes()
+  }))
+
+  ipcMain.handle('discord:clear-image-cache', () => {
+    for (const entry of entries.values()) removeFile(entry)
+    entries = new Map()
+    flushImageCache()
+    return { success: true }
+  })
+}
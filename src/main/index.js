@@ -2,15 +2,37 @@ import { app, shell, BrowserWindow, ipcMain } from 'electron'
 import { join } from 'path'
 import { electronApp, optimizer, is } from '@electron-toolkit/utils'
 import icon from '../../resources/icon.png?asset'
-import { initDiscordRpc } from './discordRpcService'
+import { initDiscordRpc, getSettings, connectDiscord } from './discordRpcService'
+import { hasCredentials } from './profiles'
+import { flushNotificationStore } from './notificationStore'
+import { initTray, refreshTray } from './tray'
+import { initLocalApi, stopLocalApi } from './localApi'
+import { initWebhooks } from './webhookForwarding'
+import { initNotificationActions } from './notificationActions'
+import { registerImageScheme, initImageCache, flushImageCache } from './imageCache'
+import { initQuietHours } from './quietHours'
+import { initVoiceActivity, flushVoiceActivity } from './voiceActivity'
+import { initOverlay, applyOverlay, closeOverlay } from './overlayWindow'
+import { initPopouts, closePopouts } from './popoutWindows'
+import { registerWindow } from './windows'
+import { loadWindowState, getWindowState, trackWindowState, flushWindowState } from './windowState'
+import { getRecordingOptions } from './rpcRecording'
+
+// Cached Discord images are served to the renderer over a custom protocol
+registerImageScheme()
 
 let mainWindow = null
+// Set once the user really wants to quit, so closing the window stops hiding it to the tray
+let isQuitting = false
+
+// Size of the main window the first time it's opened
+const DEFAULT_BOUNDS = { width: 900, height: 670 }
 
 function createWindow() {
-  // Create the browser window.
+  // Create the browser window where it was last left
+  const { bounds, maximized } = getWindowState('main', DEFAULT_BOUNDS)
   mainWindow = new BrowserWindow({
-    width: 900,
-    height: 670,
+    ...bounds,
     show: false,
     autoHideMenuBar: true,
     ...(process.platform === 'linux' ? { icon } : {}),
@@ -20,13 +42,57 @@ function createWindow() {
     }
   })
 
-  // Initialize Discord RPC service
-  initDiscordRpc(mainWindow)
+  registerWindow(mainWindow, { isMain: true })
+  trackWindowState(mainWindow, 'main')
+  // The overlay goes along with the main window, bring it back if it's on
+  applyOverlay()
+
+  const settings = getSettings()
 
   mainWindow.on('ready-to-show', () => {
-    mainWindow.show()
+    if (!settings.startMinimized) {
+      if (maximized) mainWindow.maximize()
+      mainWindow.show()
+    } else if (!settings.minimizeToTray) {
+      // Without the tray the window has to exist somewhere, so start it minimized
+      mainWindow.showInactive()
+      mainWindow.minimize()
+    }
+  })
+
+  // Keep running in the tray instead of closing, so notifications keep being collected
+  mainWindow.on('close', (event) => {
+    if (!isQuitting && getSettings().minimizeToTray) {
+      event.preventDefault()
+      mainWindow.hide()
+    }
+  })
+
+  mainWindow.on('minimize', () => {
+    if (getSettings().minimizeToTray) {
+      mainWindow.hide()
+    }
+  })
+
+  // The overlay and pop-outs would otherwise keep the app running with no way
+  // back to the main window
+  mainWindow.on('closed', () => {
+    closeOverlay()
+    closePopouts()
   })
 
+  mainWindow.on('show', refreshTray)
+  mainWindow.on('hide', refreshTray)
+
+  // Starting minimized is only useful if we are collecting notifications, so
+  // connect every profile that's set up. Replays start right away, that's what they're for.
+  if (
+    getRecordingOptions().replayPath ||
+    (settings.startMinimized && settings.profiles.some(hasCredentials))
+  ) {
+    connectDiscord()
+  }
+
   mainWindow.webContents.setWindowOpenHandler((details) => {
     shell.openExternal(details.url)
     return { action: 'deny' }
@@ -41,6 +107,11 @@ function createWindow() {
   }
 }
 
+// Replays get their own profile so recorded notifications stay out of the real history
+if (getRecordingOptions().replayPath) {
+  app.setPath('userData', `${app.getPath('userData')}-replay`)
+}
+
 // This method will be called when Electron has finished
 // initialization and is ready to create browser windows.
 // Some APIs can only be used after this event occurs.
@@ -55,12 +126,30 @@ app.whenReady().then(() => {
     optimizer.watchWindowShortcuts(window)
   })
 
+  // Services are started once, windows come and go (on macOS the main window
+  // is created again when the dock icon is clicked)
+  loadWindowState()
+  initDiscordRpc()
+  initLocalApi()
+  initWebhooks()
+  initNotificationActions()
+  initImageCache()
+  initQuietHours()
+  initVoiceActivity()
+  initPopouts()
+  initOverlay()
+
   createWindow()
+  initTray()
 
   app.on('activate', function () {
     // On macOS it's common to re-create a window in the app when the
     // dock icon is clicked and there are no other windows open.
-    if (BrowserWindow.getAllWindows().length === 0) createWindow()
+    if (BrowserWindow.getAllWindows().length === 0) {
+      createWindow()
+    } else {
+      mainWindow?.show()
+    }
   })
 })
 
@@ -73,6 +162,18 @@ app.on('window-all-closed', () => {
   }
 })
 
+// Make sure pending notification history is written before we exit
+app.on('before-quit', () => {
+  isQuitting = true
+  flushNotificationStore()
+  flushImageCache()
+  flushVoiceActivity()
+  stopLocalApi()
+})
+
+// Windows save their state as they close, which happens after before-quit
+app.on('will-quit', flushWindowState)
+
 // In this file you can include the rest of your app's specific main process
 // code. You can also put them in separate files and require them here.
 
@@ -0,0 +1,182 @@
+import http from 'http'
+import { timingSafeEqual } from 'crypto'
+import { ipcMain } from 'electron'
+import { WebSocketServer } from 'ws'
+import { serviceEvents, getSettings } from './discordRpcService'
+import { getNotifications } from './notificationStore'
+import { queryNotifications } from './notificationQuery'
+
+// Opt-in HTTP and WebSocket server on localhost so scripts and dashboards can
+// read the feed:
+//   GET /notifications  - history, same query and cursors as the feed search
+//   /stream (WebSocket) - every new notification as it arrives
+// Requests need the token from settings, either as `Authorization: Bearer <token>`
+// or a `token` query parameter (browsers can't set headers on WebSockets).
+
+const HOST = '127.0.0.1'
+
+let server = null
+let sockets = null
+// The config the running server was started with, to tell when it needs a restart
+let running = null
+let status = { running: false, port: null, error: null }
+
+const isAuthorized = (request, url, token) => {
+  const header = request.headers.authorization || ''
+  const provided = header.startsWith('Bearer ')
+    ? header.slice('Bearer '.length)
+    : url.searchParams.get('token') || ''
+
+  const expected = Buffer.from(token)
+  const actual = Buffer.from(provided)
+  return actual.length === expected.length && timingSafeEqual(actual, expected)
+}
+
+// Dates can be given as milliseconds or anything Date understands
+const parseTime = (value) => {
+  if (!value) return undefined
+  const time = /^\d+$/.test(value) ? Number(value) : new Date(value).getTime()
+  return Number.isNaN(time) ? undefined : time
+}
+
+// Query string to the query and paging options used by queryNotifications
+const parseQuery = (params) => ({
+  text: params.get('text') || '',
+  serverIds: params.getAll('serverId'),
+  channelIds: params.getAll('channelId'),
+  author: params.get('author') || '',
+  from: parseTime(params.get('from')),
+  to: parseTime(params.get('to')),
+  includeMuted: params.get('includeMuted') === 'true',
+  before: params.get('before') || undefined,
+  after: params.get('after') || undefined,
+  limit: params.has('limit') ? Number(params.get('limit')) : undefined
+})
+
+const sendJson = (response, statusCode, body) => {
+  response.writeHead(statusCode, { 'content-type': 'application/json' })
+  response.end(JSON.stringify(body))
+}
+
+// Handlers are made per server with its token, since an old server can still
+// get a request while it's closing after the settings changed
+const createRequestHandler = (token) => (request, response) => {
+  const url = new URL(request.url, `http://${HOST}`)
+
+  if (!isAuthorized(request, url, token)) {
+    sendJson(response, 401, { error: 'Missing or invalid token' })
+    return
+  }
+
+  if (url.pathname === '/notifications' && request.method === 'GET') {
+    sendJson(response, 200, queryNotifications(getNotifications(), parseQuery(url.searchParams)))
+    return
+  }
+
+  sendJson(response, 404, { error: 'Not found' })
+}
+
+// Only accept WebSocket upgrades on /stream with a valid token
+const createUpgradeHandler = (token, wss) => (request, socket, head) => {
+  const url = new URL(request.url, `http://${HOST}`)
+
+  if (url.pathname !== '/stream') {
+    socket.end('HTTP/1.1 404 Not Found\r\n\r\n')
+    return
+  }
+  if (!isAuthorized(request, url, token)) {
+    socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n')
+    return
+  }
+
+  wss.handleUpgrade(request, socket, head, (ws) => wss.emit('connection', ws, request))
+}
+
+// Send a new notification to every connected stream
+const broadcast = (notification) => {
+  if (!sockets) return
+  const message = JSON.stringify({ type: 'notification', notification })
+  for (const ws of sockets.clients) {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(message)
+    }
+  }
+}
+
+const stopServer = async () => {
+  if (!server) return
+  const oldServer = server
+  const oldSockets = sockets
+  server = null
+  sockets = null
+  running = null
+
+  for (const ws of oldSockets.clients) {
+    ws.close(1001, 'Server stopping')
+  }
+  oldSockets.close()
+  oldServer.closeAllConnections()
+  await new Promise((resolve) => oldServer.close(resolve))
+  status = { running: false, port: null, error: null }
+  console.log('Local API stopped')
+}
+
+const startServer = (port, token) =>
+  new Promise((resolve) => {
+    const newServer = http.createServer(createRequestHandler(token))
+    const newSockets = new WebSocketServer({ noServer: true })
+    newServer.on('upgrade', createUpgradeHandler(token, newSockets))
+
+    // Usually the port is already taken
+    newServer.once('error', (error) => {
+      console.error('Local API failed to start', error)
+      newSockets.close()
+      status = { running: false, port, error: error.message }
+      resolve()
+    })
+
+    newServer.listen(port, HOST, () => {
+      server = newServer
+      sockets = newSockets
+      running = { port, token }
+      status = { running: true, port, error: null }
+      console.log(`Local API listening on http://${HOST}:${port}`)
+      resolve()
+    })
+  })
+
+// Start, stop or restart the server to match the settings. Changing the token
+// restarts it too, so connections made with the old one are dropped.
+const applySettings = async ({ apiEnabled, apiPort, apiToken }) => {
+  const shouldRun = apiEnabled && Boolean(apiToken)
+  if (shouldRun && running?.port === apiPort && running?.token === apiToken) return
+  if (!shouldRun && !server) {
+    status = { running: false, port: null, error: null }
+    return
+  }
+
+  await stopServer()
+  if (shouldRun) {
+    await startServer(apiPort, apiToken)
+  }
+}
+
+// Settings can change again while the server is still starting or stopping,
+// so apply them one at a time
+let applying = Promise.resolve()
+const queueSettings = (settings) => {
+  applying = applying.then(() => applySettings(settings))
+  return applying
+}
+
+export const stopLocalApi = () => stopServer()
+
+export function initLocalApi() {
+  serviceEvents.on('notification', broadcast)
+  serviceEvents.on('settings-change', queueSettings)
+
+  // Whether the server is running, and why not if it failed to start
+  ipcMain.handle('discord:get-api-status', () => status)
+
+  queueSettings(getSettings())
+}
@@ -0,0 +1,30 @@
+// Names for the <@user> and <#channel> mentions in a notification body, so the
+// renderer can show them the way Discord does. They're saved with the
+// notification since the message's mention list only comes with the event.
+
+const CHANNEL_MENTION = /<#(\d+)>/g
+
+// Users come from the mention list Discord sends with the message
+const getUserNames = (message) => {
+  const users = {}
+  for (const user of [message?.author, ...(message?.mentions || [])]) {
+    const name = user?.global_name || user?.username
+    if (user?.id && name) users[user.id] = name
+  }
+  return users
+}
+
+// Channels are looked up in the profile's channel directory
+export const getChannelNames = (body, directory) => {
+  const channels = {}
+  for (const [, channelId] of (body || '').matchAll(CHANNEL_MENTION)) {
+    const info = directory.getChannelInfo(channelId)
+    if (info?.channelName) channels[channelId] = info.channelName
+  }
+  return channels
+}
+
+export const collectMentions = (message, body, directory) => ({
+  users: getUserNames(message),
+  channels: getChannelNames(body, directory)
+})
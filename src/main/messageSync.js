@@ -0,0 +1,142 @@
+import { getNotifications, updateNotification, removeNotifications } from './notificationStore'
+import {
+  getSettings,
+  sendNotificationsUpdated,
+  sendNotificationsRemoved,
+  sendReadChange
+} from './discordRpcService'
+import { collectMentions } from './messageMentions'
+
+// Keeps stored notifications in step with edits and deletions in Discord.
+// MESSAGE_UPDATE and MESSAGE_DELETE are subscribed per channel, so each
+// connection follows the channels that had the most recent notifications, up to
+// MAX_SYNCED_CHANNELS. A channel new to the list pushes out the one that has
+// gone longest without a notification.
+
+const MAX_SYNCED_CHANNELS = 10
+
+const MESSAGE_EVENTS = ['MESSAGE_UPDATE', 'MESSAGE_DELETE']
+
+// `directory` is the profile's channel directory, for mentioned channel names
+export const createMessageSync = (profileId, directory) => {
+  let client = null
+  // Followed channel ids to their pending subscriptions, least recently notified first
+  let channels = new Map()
+
+  const unsubscribeAll = (subscriptions) =>
+    Promise.all(subscriptions.map((subscription) => subscription.unsubscribe())).catch((error) => {
+      console.error('Failed to unsubscribe from message events', error)
+    })
+
+  // Both events or neither, so a channel is never half followed
+  const subscribe = async (channelId) => {
+    const results = await Promise.allSettled(
+      MESSAGE_EVENTS.map((event) => client.subscribe(event, { channel_id: channelId }))
+    )
+    const subscribed = results
+      .filter((result) => result.status === 'fulfilled')
+      .map((result) => result.value)
+    const failed = results.find((result) => result.status === 'rejected')
+    if (!failed) return subscribed
+
+    // Usually a channel the account can no longer see
+    console.error(`Failed to follow messages in channel ${channelId}`, failed.reason)
+    unsubscribeAll(subscribed)
+    return []
+  }
+
+  const unsubscribe = (pending) => pending.then(unsubscribeAll)
+
+  // A notification came in for `channelId`, make it the last to be rotated out
+  const follow = (channelId) => {
+    if (!client || !channelId) return
+
+    const pending = channels.get(channelId) || subscribe(channelId)
+    channels.delete(channelId)
+    channels.set(channelId, pending)
+
+    if (channels.size > MAX_SYNCED_CHANNELS) {
+      const [oldest, oldestPending] = channels.entries().next().value
+      channels.delete(oldest)
+      unsubscribe(oldestPending)
+    }
+  }
+
+  const findNotification = (data) => {
+    const id = data?.message?.id
+    if (!id) return null
+    return getNotifications().find(
+      (notification) => notification.id === id && notification.profileId === profileId
+    )
+  }
+
+  const handlers = {
+    // Embeds being filled in also send an update, only real edits have a timestamp
+    MESSAGE_UPDATE: (data) => {
+      const notification = findNotification(data)
+      const { content, edited_timestamp: editedAt } = data?.message || {}
+      if (!notification || notification.deleted || !editedAt || !content) return
+      if (editedAt === notification.editedAt) return
+
+      const updated = updateNotification(
+        notification.id,
+        {
+          body: content,
+          editedAt,
+          mentions: collectMentions(data.message, content, directory)
+        },
+        profileId
+      )
+      if (updated) sendNotificationsUpdated([updated])
+    },
+    // The text is gone from Discord, so it goes from the history as well
+    MESSAGE_DELETE: (data) => {
+      const notification = findNotification(data)
+      if (!notification || notification.deleted) return
+
+      if (getSettings().removeDeletedMessages) {
+        removeNotifications([notification.id], profileId)
+        sendNotificationsRemoved([notification])
+      } else {
+        const updated = updateNotification(
+          notification.id,
+          { deleted: true, body: '', mentions: null },
+          profileId
+        )
+        if (updated) sendNotificationsUpdated([updated])
+      }
+      sendReadChange()
+    }
+  }
+
+  // Attach to a ready client and follow the channels with the newest notifications
+  const start = (readyClient) => {
+    client = readyClient
+    for (const [event, handler] of Object.entries(handlers)) {
+      readyClient.on(event, handler)
+    }
+
+    const recent = []
+    for (const notification of getNotifications()) {
+      if (recent.length === MAX_SYNCED_CHANNELS) break
+      if (notification.profileId === profileId && !recent.includes(notification.channelId)) {
+        recent.push(notification.channelId)
+      }
+    }
+    // Newest last, so it's the last to be rotated out
+    for (const channelId of recent.reverse()) follow(channelId)
+  }
+
+  // The connection went away, the client is closed by the caller
+  const stop = () => {
+    if (client) {
+      for (const [event, handler] of Object.entries(handlers)) {
+        client.off(event, handler)
+      }
+    }
+    client = null
+    channels = new Map()
+  }
+
+  return { start, stop, follow }
+}
@@ -0,0 +1,84 @@
+import { ipcMain, Notification, powerMonitor } from 'electron'
+import { getNotifications, updateNotification } from './notificationStore'
+import { serviceEvents, sendNotificationsUpdated, sendReadChange } from './discordRpcService'
+import { startSnoozeScheduler, scheduleSnooze, cancelSnooze } from './snoozeScheduler'
+import { shouldAlert } from './quietHours'
+import { broadcast, getMainWindow } from './windows'
+
+// Pinning, bookmarking and snoozing single notifications. All three are stored
+// on the notification, so they survive restarts along with the history.
+
+// Apply a change to one profile's copy of a notification and tell the renderer about it
+const setState = (id, profileId, changes) => {
+  const notification = updateNotification(id, changes, profileId)
+  if (!notification) {
+    return { success: false, error: 'Notification not found' }
+  }
+  sendNotificationsUpdated([notification])
+  return { success: true, notification }
+}
+
+// Show a native notification that brings the window up when clicked
+const showNativeNotification = (notification) => {
+  if (!Notification.isSupported()) return
+
+  const native = new Notification({
+    title: notification.title || notification.author?.name || 'Snoozed notification',
+    body: notification.body || ''
+  })
+  native.on('click', () => {
+    const mainWindow = getMainWindow()
+    if (!mainWindow) return
+    mainWindow.show()
+    mainWindow.focus()
+  })
+  native.show()
+}
+
+// A snooze is over: bring the notification back as unread and announce it
+const resurface = (id, profileId) => {
+  const notification = updateNotification(id, { snoozedUntil: null, read: false }, profileId)
+  // Pruned or removed with its profile while it was snoozed
+  if (!notification) return
+
+  console.log(`Snoozed notification ${id} is back`)
+  broadcast('discord:notification-resurfaced', notification)
+  sendReadChange()
+  if (shouldAlert(notification)) showNativeNotification(notification)
+}
+
+export function initNotificationActions() {
+  const startScheduler = () => startSnoozeScheduler(getNotifications(), resurface)
+  startScheduler()
+  powerMonitor.on('resume', startScheduler)
+  // A profile added back brings its snoozed notifications with it
+  serviceEvents.on('history-change', startScheduler)
+
+  // Pinned notifications are listed above the feed
+  ipcMain.handle('discord:pin-notification', (_, { id, profileId, pinned }) =>
+    setState(id, profileId, { pinned: Boolean(pinned) })
+  )
+
+  // Bookmarked notifications are kept when older history is pruned
+  ipcMain.handle('discord:bookmark-notification', (_, { id, profileId, bookmarked }) =>
+    setState(id, profileId, { bookmarked: Boolean(bookmarked) })
+  )
+
+  // Hide a notification until `until` (ms since epoch), or bring it back early with null
+  ipcMain.handle('discord:snooze-notification', (_, { id, profileId, until }) => {
+    if (until !== null && !(Number.isFinite(until) && until > Date.now())) {
+      return { success: false, error: 'Pick a time in the future' }
+    }
+
+    const result = setState(id, profileId, { snoozedUntil: until })
+    if (!result.success) return result
+
+    if (until) {
+      scheduleSnooze(id, profileId, until)
+    } else {
+      cancelSnooze(id, profileId)
+    }
+    sendReadChange()
+    return result
+  })
+}
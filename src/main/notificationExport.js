@@ -0,0 +1,76 @@
+// Turn stored notifications into files people can take out of the app
+
+const CSV_COLUMNS = [
+  ['id', (n) => n.id],
+  ['timestamp', (n) => n.timestamp],
+  ['server', (n) => n.serverName],
+  ['serverId', (n) => n.serverId],
+  ['channel', (n) => n.channelName],
+  ['channelId', (n) => n.channelId],
+  ['author', (n) => n.author?.name],
+  ['title', (n) => n.title],
+  ['body', (n) => n.body],
+  ['link', (n) => n.messageLink],
+  ['read', (n) => n.read],
+  ['muted', (n) => n.muted],
+  ['highlighted', (n) => n.highlighted],
+  ['tags', (n) => (n.tags || []).map((tag) => tag.label).join('; ')]
+]
+
+// Quote a CSV field when it contains a separator, quote or line break
+const csvField = (value) => {
+  const text = value === undefined || value === null ? '' : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const toCsv = (notifications) =>
+  [
+    CSV_COLUMNS.map(([name]) => name).join(','),
+    ...notifications.map((notification) =>
+      CSV_COLUMNS.map(([, get]) => csvField(get(notification))).join(',')
+    )
+  ].join('\r\n') + '\r\n'
+
+// Keep Discord text from breaking out of its list item
+const markdownText = (value) => (value || '').replace(/\r?\n/g, ' ').trim()
+
+// Server and channel headings, then one bullet per notification, oldest first
+const toMarkdown = (notifications) => {
+  const groups = new Map()
+  for (const notification of [...notifications].reverse()) {
+    const server = notification.serverName || 'Unknown Server'
+    const channel = notification.channelName ? `#${notification.channelName}` : 'Unknown channel'
+    if (!groups.has(server)) groups.set(server, new Map())
+    const channels = groups.get(server)
+    if (!channels.has(channel)) channels.set(channel, [])
+    channels.get(channel).push(notification)
+  }
+
+  const lines = ['# Discord notifications', '', `Exported ${new Date().toLocaleString()}`, '']
+  for (const [server, channels] of groups) {
+    lines.push(`## ${server}`, '')
+    for (const [channel, items] of channels) {
+      lines.push(`### ${channel}`, '')
+      for (const notification of items) {
+        const time = new Date(notification.timestamp).toLocaleString()
+        const author = markdownText(notification.author?.name) || 'Unknown User'
+        const link = notification.messageLink ? ` ([link](${notification.messageLink}))` : ''
+        lines.push(`- **${author}** · ${time}${link}`)
+        lines.push(`  ${markdownText(notification.body) || markdownText(notification.title)}`)
+      }
+      lines.push('')
+    }
+  }
+  return lines.join('\n')
+}
+
+// Supported formats with what the save dialog needs to know about them
+export const EXPORT_FORMATS = {
+  json: {
+    name: 'JSON',
+    extension: 'json',
+    serialize: (notifications) => JSON.stringify(notifications, null, 2)
+  },
+  csv: { name: 'CSV', extension: 'csv', serialize: toCsv },
+  markdown: { name: 'Markdown', extension: 'md', serialize: toMarkdown }
+}
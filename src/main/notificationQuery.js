@@ -0,0 +1,194 @@
+// Filtering and pagination over stored notifications
+
+// Lowercase a value for case-insensitive matching
+const normalize = (value) => (value || '').toString().toLowerCase()
+
+// Turn a notification timestamp into milliseconds
+const toTime = (timestamp) => new Date(timestamp).getTime()
+
+// Check a single notification against a query
+export const matchesQuery = (notification, query = {}) => {
+  const { text, serverIds, channelIds, author, from, to, includeMuted } = query
+  const { pinned, bookmarked, includeSnoozed } = query
+
+  // Muted notifications are only shown when asked for
+  if (notification.muted && !includeMuted) {
+    return false
+  }
+
+  // Snoozed notifications stay hidden until they come back
+  if (notification.snoozedUntil && !includeSnoozed) {
+    return false
+  }
+
+  // The feed leaves pinned notifications to the pinned list above it
+  if (pinned !== undefined && Boolean(notification.pinned) !== pinned) {
+    return false
+  }
+
+  if (bookmarked && !notification.bookmarked) {
+    return false
+  }
+
+  if (serverIds?.length && !serverIds.includes(notification.serverId)) {
+    return false
+  }
+
+  if (channelIds?.length && !channelIds.includes(notification.channelId)) {
+    return false
+  }
+
+  if (author?.trim() && !normalize(notification.author?.name).includes(normalize(author.trim()))) {
+    return false
+  }
+
+  if (from || to) {
+    const time = toTime(notification.timestamp)
+    if (from && !(time >= from)) return false
+    if (to && !(time <= to)) return false
+  }
+
+  if (text?.trim()) {
+    // Every word has to appear somewhere in the title, body or author
+    const haystack = normalize(
+      `${notification.title} ${notification.body} ${notification.author?.name}`
+    )
+    const words = normalize(text).split(/\s+/).filter(Boolean)
+    if (!words.every((word) => haystack.includes(word))) {
+      return false
+    }
+  }
+
+  return true
+}
+
+// Index of the first entry in a sorted list that is greater than (or equal to) a value
+const searchPositions = (positions, value, inclusive) => {
+  let low = 0
+  let high = positions.length
+  while (low < high) {
+    const mid = (low + high) >> 1
+    if (inclusive ? positions[mid] < value : positions[mid] <= value) {
+      low = mid + 1
+    } else {
+      high = mid
+    }
+  }
+  return low
+}
+
+// Whether a notification is the one a cursor points at. Cursors are
+// `profileId:id`, since every profile has its own copy of a message. A bare
+// message id matches any profile's copy.
+const isCursor = (notification, cursor) => {
+  const separator = cursor.lastIndexOf(':')
+  if (separator === -1) return notification.id === cursor
+  return (
+    notification.profileId === cursor.slice(0, separator) &&
+    notification.id === cursor.slice(separator + 1)
+  )
+}
+
+// Filter a list of notifications and return one window of results.
+// `before` returns the next older window after that message id, `after` the newer
+// window just above it, and with neither the newest window is returned.
+export const queryNotifications = (notifications, query = {}) => {
+  const limit = Math.min(500, Math.max(1, parseInt(query.limit, 10) || 20))
+
+  // Keep each match's position in the full list so cursors work even if the
+  // cursor item itself no longer matches
+  const matches = []
+  const positions = []
+  notifications.forEach((notification, index) => {
+    if (matchesQuery(notification, query)) {
+      matches.push(notification)
+      positions.push(index)
+    }
+  })
+
+  let startIndex = 0
+  let endIndex = Math.min(limit, matches.length)
+  let hasMore = endIndex < matches.length
+
+  const cursor = query.before || query.after
+  if (cursor) {
+    const cursorIndex = notifications.findIndex((notification) => isCursor(notification, cursor))
+    if (cursorIndex === -1) {
+      // The cursor has been pruned, so there is nothing left to page through
+      startIndex = endIndex = 0
+      hasMore = false
+    } else if (query.before) {
+      startIndex = searchPositions(positions, cursorIndex, false)
+      endIndex = Math.min(startIndex + limit, matches.length)
+      hasMore = endIndex < matches.length
+    } else {
+      endIndex = searchPositions(positions, cursorIndex, true)
+      startIndex = Math.max(0, endIndex - limit)
+      hasMore = startIndex > 0
+    }
+  }
+
+  return {
+    notifications: matches.slice(startIndex, endIndex),
+    hasMore,
+    total: matches.length,
+    totalUnfiltered: notifications.length
+  }
+}
+
+// List the servers and channels present in a set of notifications, for filter pickers
+export const getNotificationFacets = (notifications) => {
+  const servers = new Map()
+
+  for (const notification of notifications) {
+    if (!notification.serverId) continue
+
+    if (!servers.has(notification.serverId)) {
+      servers.set(notification.serverId, {
+        id: notification.serverId,
+        name: notification.serverName,
+        channels: new Map()
+      })
+    }
+
+    const server = servers.get(notification.serverId)
+    if (notification.channelId && !server.channels.has(notification.channelId)) {
+      server.channels.set(notification.channelId, {
+        id: notification.channelId,
+        name: notification.channelName
+      })
+    }
+  }
+
+  return {
+    servers: [...servers.values()]
+      .map((server) => ({
+        ...server,
+        channels: [...server.channels.values()].sort((a, b) => a.name.localeCompare(b.name))
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name))
+  }
+}
+
+// Count unread notifications overall and per server. Muted and snoozed
+// notifications are hidden from the feed so they don't count.
+export const getUnreadCounts = (notifications) => {
+  const servers = new Map()
+  let total = 0
+
+  for (const notification of notifications) {
+    if (notification.read !== false || notification.muted || notification.snoozedUntil) continue
+
+    total++
+    const id = notification.serverId || ''
+    if (!servers.has(id)) {
+      servers.set(id, { id, name: notification.serverName || 'Unknown Server', count: 0 })
+    }
+    servers.get(id).count++
+  }
+
+  return {
+    total,
+    servers: [...servers.values()].sort((a, b) => b.count - a.count)
+  }
+}
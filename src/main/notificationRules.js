@@ -0,0 +1,147 @@
+import { app } from 'electron'
+import { join } from 'path'
+import fs from 'fs'
+
+// What a matching rule does to a notification
+export const RULE_ACTIONS = ['highlight', 'mute', 'drop', 'tag', 'breakthrough']
+
+const DEFAULT_TAG_COLOR = '#5865f2'
+
+let rules = []
+// Compiled regular expressions, keyed by rule id
+let patterns = new Map()
+
+// Get rules file path (lives next to discord-settings.json)
+const getRulesPath = () => {
+  const userDataPath = app.getPath('userData')
+  return join(userDataPath, 'discord-rules.json')
+}
+
+// Compile each rule's pattern once instead of on every notification
+const compilePatterns = () => {
+  patterns = new Map()
+  for (const rule of rules) {
+    if (!rule.pattern) continue
+    try {
+      patterns.set(rule.id, new RegExp(rule.pattern, 'i'))
+    } catch (error) {
+      console.error(`Invalid pattern in rule "${rule.name}":`, error.message)
+    }
+  }
+}
+
+// Clean up a rule coming from the renderer or from disk
+const sanitizeRule = (rule, index) => ({
+  id: rule.id || `${Date.now()}-${index}`,
+  name: (rule.name || '').trim() || `Rule ${index + 1}`,
+  enabled: rule.enabled !== false,
+  serverId: rule.serverId || '',
+  channelId: rule.channelId || '',
+  author: (rule.author || '').trim(),
+  pattern: rule.pattern || '',
+  action: RULE_ACTIONS.includes(rule.action) ? rule.action : 'highlight',
+  tagLabel: (rule.tagLabel || '').trim(),
+  tagColor: rule.tagColor || DEFAULT_TAG_COLOR
+})
+
+// Load rules from file
+export const loadRules = () => {
+  const rulesPath = getRulesPath()
+  try {
+    if (fs.existsSync(rulesPath)) {
+      const data = fs.readFileSync(rulesPath, 'utf8')
+      try {
+        const parsed = JSON.parse(data)
+        rules = Array.isArray(parsed.rules) ? parsed.rules.map(sanitizeRule) : []
+        console.log(`Loaded ${rules.length} rules from:`, rulesPath)
+      } catch (parseError) {
+        console.error('Failed to parse rules file:', parseError)
+        const backupPath = `${rulesPath}.backup-${Date.now()}`
+        fs.copyFileSync(rulesPath, backupPath)
+        console.log('Created backup of invalid rules file at:', backupPath)
+        rules = []
+      }
+    }
+  } catch (error) {
+    console.error('Failed to load rules:', error)
+  }
+  compilePatterns()
+}
+
+// Save rules to file
+const saveRules = () => {
+  const rulesPath = getRulesPath()
+  try {
+    const directory = join(rulesPath, '..')
+    if (!fs.existsSync(directory)) {
+      fs.mkdirSync(directory, { recursive: true })
+    }
+
+    fs.writeFileSync(rulesPath, JSON.stringify({ rules }, null, 2), 'utf8')
+    console.log('Saved rules to:', rulesPath)
+  } catch (error) {
+    console.error('Failed to save rules:', error)
+  }
+}
+
+// Replace the whole rule list
+export const setRules = (newRules) => {
+  rules = Array.isArray(newRules) ? newRules.map(sanitizeRule) : []
+  compilePatterns()
+  saveRules()
+  return rules
+}
+
+export const getRules = () => rules
+
+// A rule matches when every condition it sets matches. Rules without any
+// conditions never match, so an empty rule can't drop everything.
+const ruleMatches = (rule, notification) => {
+  const pattern = patterns.get(rule.id)
+  if (rule.pattern && !pattern) return false
+  if (!rule.serverId && !rule.channelId && !rule.author && !pattern) return false
+
+  if (rule.serverId && rule.serverId !== notification.serverId) return false
+  if (rule.channelId && rule.channelId !== notification.channelId) return false
+  if (
+    rule.author &&
+    !(notification.author?.name || '').toLowerCase().includes(rule.author.toLowerCase())
+  ) {
+    return false
+  }
+  if (pattern && !pattern.test(`${notification.title || ''}\n${notification.body || ''}`)) {
+    return false
+  }
+
+  return true
+}
+
+// Run every enabled rule against a notification and combine their actions
+export const evaluateRules = (notification) => {
+  const result = { drop: false, muted: false, highlighted: false, breakthrough: false, tags: [] }
+
+  for (const rule of rules) {
+    if (!rule.enabled || !ruleMatches(rule, notification)) continue
+
+    switch (rule.action) {
+      case 'drop':
+        result.drop = true
+        break
+      case 'mute':
+        result.muted = true
+        break
+      case 'highlight':
+        result.highlighted = true
+        break
+      // Still alerts during Do Not Disturb
+      case 'breakthrough':
+        result.breakthrough = true
+        break
+      case 'tag':
+        result.tags.push({ label: rule.tagLabel || rule.name, color: rule.tagColor })
+        break
+    }
+  }
+
+  return result
+}
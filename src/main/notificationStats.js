@@ -0,0 +1,132 @@
+// Activity statistics over stored notifications, for the stats view. Hours and
+// days are in local time, the renderer runs on the same machine.
+
+// How many entries the top server/channel/sender lists keep
+const TOP_LIMIT = 10
+
+// Keeps a long range in hourly buckets from producing a huge response
+const MAX_BUCKETS = 1000
+
+const BUCKET_MS = { hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 }
+
+const toTime = (timestamp) => new Date(timestamp).getTime()
+
+// Start of the local hour or day a time falls in
+const startOfBucket = (time, bucket) => {
+  const date = new Date(time)
+  date.setMinutes(0, 0, 0)
+  if (bucket === 'day') date.setHours(0)
+  return date.getTime()
+}
+
+// Start of the following bucket, going through Date so DST changes are handled
+const nextBucket = (start, bucket) => {
+  const date = new Date(start)
+  if (bucket === 'day') {
+    date.setDate(date.getDate() + 1)
+  } else {
+    date.setHours(date.getHours() + 1)
+  }
+  return date.getTime()
+}
+
+// Notifications per hour or day between `from` and `to`, empty buckets
+// included. Without `from` the range starts at the oldest notification.
+export const getActivityTimeline = (notifications, { from, to, bucket: requested } = {}) => {
+  const bucket = requested === 'hour' ? 'hour' : 'day'
+  const end = to || Date.now()
+  const oldest = notifications.reduce(
+    (earliest, notification) => Math.min(earliest, toTime(notification.timestamp) || earliest),
+    end
+  )
+  const start = Math.max(
+    startOfBucket(from || oldest, bucket),
+    startOfBucket(end - MAX_BUCKETS * BUCKET_MS[bucket], bucket)
+  )
+
+  const counts = new Map()
+  for (const notification of notifications) {
+    const time = toTime(notification.timestamp)
+    if (!(time >= start && time <= end)) continue
+    const key = startOfBucket(time, bucket)
+    counts.set(key, (counts.get(key) || 0) + 1)
+  }
+
+  const buckets = []
+  for (let time = start; time <= end; time = nextBucket(time, bucket)) {
+    buckets.push({ start: time, count: counts.get(time) || 0 })
+  }
+
+  return { bucket, buckets }
+}
+
+// Count entries by key and keep the biggest ones
+const countTop = (notifications, getEntry) => {
+  const counts = new Map()
+  for (const notification of notifications) {
+    const entry = getEntry(notification)
+    if (!entry) continue
+    const existing = counts.get(entry.id)
+    if (existing) {
+      existing.count++
+    } else {
+      counts.set(entry.id, { ...entry, count: 1 })
+    }
+  }
+  return [...counts.values()].sort((a, b) => b.count - a.count).slice(0, TOP_LIMIT)
+}
+
+// How long notifications waited before being opened with "View in Discord",
+// counted from when the message was sent
+const getOpenTimes = (notifications) => {
+  const delays = notifications
+    .filter((notification) => notification.openedAt)
+    .map((notification) => Math.max(0, notification.openedAt - toTime(notification.timestamp)))
+    .sort((a, b) => a - b)
+
+  if (delays.length === 0) {
+    return { opened: 0, averageMs: null, medianMs: null }
+  }
+
+  const middle = delays.length >> 1
+  return {
+    opened: delays.length,
+    averageMs: delays.reduce((sum, delay) => sum + delay, 0) / delays.length,
+    medianMs: delays.length % 2 ? delays[middle] : (delays[middle - 1] + delays[middle]) / 2
+  }
+}
+
+// Top servers, channels and senders, a day-of-week by hour heatmap and open
+// times. `heatmap[day][hour]` counts with day 0 as Sunday.
+export const getActivitySummary = (notifications) => {
+  const heatmap = Array.from({ length: 7 }, () => new Array(24).fill(0))
+  for (const notification of notifications) {
+    const date = new Date(notification.timestamp)
+    if (Number.isNaN(date.getTime())) continue
+    heatmap[date.getDay()][date.getHours()]++
+  }
+
+  return {
+    total: notifications.length,
+    // DMs and unresolved notifications have no server id, keep them apart by name
+    topServers: countTop(notifications, (notification) => ({
+      id: notification.serverId || notification.serverName || '',
+      name: notification.serverName || 'Unknown Server'
+    })),
+    topChannels: countTop(notifications, (notification) =>
+      notification.channelId
+        ? {
+            id: notification.channelId,
+            name: notification.channelName,
+            serverName: notification.serverName
+          }
+        : null
+    ),
+    topSenders: countTop(notifications, (notification) => {
+      const name = notification.author?.name
+      return name ? { id: name, name } : null
+    }),
+    heatmap,
+    openTimes: getOpenTimes(notifications)
+  }
+}
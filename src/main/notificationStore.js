@@ -0,0 +1,250 @@
+import { app } from 'electron'
+import { join } from 'path'
+import fs from 'fs'
+import { DEFAULT_PROFILE_ID } from './profiles'
+
+// Default number of notifications kept on disk
+export const DEFAULT_RETENTION_LIMIT = 1000
+
+// How long to wait after a change before writing the store to disk
+const SAVE_DELAY_MS = 1000
+
+// Every profile's history, newest first. Each profile is saved to its own file.
+let notifications = []
+let profileIds = [DEFAULT_PROFILE_ID]
+let retentionLimit = DEFAULT_RETENTION_LIMIT
+let saveTimer = null
+
+// Get a profile's store file path (lives next to discord-settings.json). The
+// default profile keeps the file name from before there were profiles.
+const getStorePath = (profileId) => {
+  const userDataPath = app.getPath('userData')
+  const fileName =
+    profileId === DEFAULT_PROFILE_ID
+      ? 'discord-notifications.json'
+      : `discord-notifications-${profileId}.json`
+  return join(userDataPath, fileName)
+}
+
+const getTime = (notification) => new Date(notification.timestamp).getTime()
+
+// Histories from different profiles interleave by when the message was sent
+const sortNewestFirst = (list) => list.sort((a, b) => getTime(b) - getTime(a))
+
+// The fields that come from resolving the channel, filled in on a stored
+// notification that couldn't be resolved when it first came in
+const RESOLVED_FIELDS = ['serverName', 'channelName', 'serverId', 'messageLink', 'unresolved']
+
+// Make sure the limit is a positive whole number
+const normalizeLimit = (limit) => {
+  const parsed = parseInt(limit, 10)
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : DEFAULT_RETENTION_LIMIT
+}
+
+// Bookmarks are never pruned, and neither is anything pinned or waiting on a
+// snooze. They don't count towards the limit either.
+const isExemptFromPruning = (notification) =>
+  Boolean(notification.bookmarked || notification.pinned || notification.snoozedUntil)
+
+// Drop the oldest notifications of any profile that is over the retention limit
+const prune = () => {
+  const counts = new Map()
+  const kept = notifications.filter((notification) => {
+    if (isExemptFromPruning(notification)) return true
+    const count = (counts.get(notification.profileId) || 0) + 1
+    counts.set(notification.profileId, count)
+    return count <= retentionLimit
+  })
+
+  if (kept.length === notifications.length) return false
+  notifications = kept
+  return true
+}
+
+// Write the store to disk right away
+export const flushNotificationStore = () => {
+  if (saveTimer) {
+    clearTimeout(saveTimer)
+    saveTimer = null
+  }
+
+  for (const profileId of profileIds) {
+    const storePath = getStorePath(profileId)
+    try {
+      const directory = join(storePath, '..')
+      if (!fs.existsSync(directory)) {
+        fs.mkdirSync(directory, { recursive: true })
+      }
+
+      // Write to a temp file first so a crash mid-write can't corrupt the store
+      const tempPath = `${storePath}.tmp`
+      const profileNotifications = notifications.filter((n) => n.profileId === profileId)
+      fs.writeFileSync(
+        tempPath,
+        JSON.stringify({ version: 1, notifications: profileNotifications }),
+        'utf8'
+      )
+      fs.renameSync(tempPath, storePath)
+    } catch (error) {
+      console.error('Failed to save notification store:', error)
+    }
+  }
+}
+
+// Batch up writes, notifications can arrive in bursts
+const scheduleSave = () => {
+  if (saveTimer) return
+  saveTimer = setTimeout(flushNotificationStore, SAVE_DELAY_MS)
+}
+
+// Read one profile's stored notifications. History from before profiles
+// existed has no profileId, so it's given the profile whose file it's in.
+const readStore = (profileId) => {
+  const storePath = getStorePath(profileId)
+  try {
+    if (fs.existsSync(storePath)) {
+      const data = fs.readFileSync(storePath, 'utf8')
+      try {
+        const parsed = JSON.parse(data)
+        const stored = Array.isArray(parsed.notifications) ? parsed.notifications : []
+        console.log(`Loaded ${stored.length} notifications from:`, storePath)
+        return stored.map((notification) => ({ ...notification, profileId }))
+      } catch (parseError) {
+        console.error('Failed to parse notification store:', parseError)
+        // Keep the broken file around instead of silently overwriting it
+        const backupPath = `${storePath}.backup-${Date.now()}`
+        fs.copyFileSync(storePath, backupPath)
+        console.log('Created backup of invalid notification store at:', backupPath)
+      }
+    }
+  } catch (error) {
+    console.error('Failed to load notification store:', error)
+  }
+  return []
+}
+
+// Load stored notifications for every profile from disk
+export const loadNotificationStore = (limit, ids) => {
+  retentionLimit = normalizeLimit(limit)
+  profileIds = ids
+  notifications = ids.flatMap(readStore)
+  if (ids.length > 1) sortNewestFirst(notifications)
+  if (prune()) scheduleSave()
+}
+
+// Follow changes to the profile list: load the history of profiles that were
+// added and delete the history of ones that were removed. Returns whether the
+// set of loaded profiles changed.
+export const setStoreProfiles = (ids) => {
+  const added = ids.filter((id) => !profileIds.includes(id))
+  const removed = profileIds.filter((id) => !ids.includes(id))
+  if (!added.length && !removed.length) return false
+  profileIds = ids
+
+  notifications = notifications.filter((n) => !removed.includes(n.profileId))
+  const loaded = added.flatMap(readStore)
+  if (loaded.length) {
+    notifications = sortNewestFirst([...notifications, ...loaded])
+    prune()
+  }
+
+  for (const profileId of removed) {
+    try {
+      fs.rmSync(getStorePath(profileId), { force: true })
+    } catch (error) {
+      console.error('Failed to delete notification store:', error)
+    }
+  }
+  scheduleSave()
+  return true
+}
+
+// Change how many notifications are kept, pruning if needed
+export const setRetentionLimit = (limit) => {
+  retentionLimit = normalizeLimit(limit)
+  if (prune()) scheduleSave()
+}
+
+// Where a notification goes to keep the store newest first. Messages nearly
+// always arrive newest, so this usually stops at the top. Ties go above, the
+// one that arrived last comes first.
+const findInsertIndex = (notification) => {
+  const time = getTime(notification)
+  const index = notifications.findIndex((stored) => getTime(stored) <= time)
+  return index === -1 ? notifications.length : index
+}
+
+// Whether a stored notification is `id` in `profileId`'s history, or in any
+// profile's when `profileId` isn't given
+const isMessage = (notification, id, profileId) =>
+  notification.id === id && (profileId === undefined || notification.profileId === profileId)
+
+// Store a new notification in timestamp order. A message the profile already
+// has (sent again after a reconnect) isn't added twice, it only gets the server
+// and channel names if those were missing. Each profile keeps its own copy when
+// the same account is connected through more than one. Returns { type:
+// 'inserted' | 'updated', notification }, or null when nothing changed.
+export const addNotification = (notification) => {
+  const existing = notifications.find((stored) =>
+    isMessage(stored, notification.id, notification.profileId)
+  )
+  if (existing) {
+    if (!existing.unresolved || notification.unresolved) return null
+    const changes = Object.fromEntries(RESOLVED_FIELDS.map((field) => [field, notification[field]]))
+    return {
+      type: 'updated',
+      notification: updateNotification(existing.id, changes, existing.profileId)
+    }
+  }
+
+  notifications.splice(findInsertIndex(notification), 0, notification)
+  prune()
+  scheduleSave()
+  // Older than everything the retention limit keeps
+  if (!notifications.includes(notification)) return null
+  return { type: 'inserted', notification }
+}
+
+// Apply changes to a stored notification, returns the updated notification.
+// With `profileId` only that profile's copy of the message is changed.
+export const updateNotification = (id, changes, profileId) => {
+  const index = notifications.findIndex((notification) => isMessage(notification, id, profileId))
+  if (index === -1) return null
+
+  notifications[index] = { ...notifications[index], ...changes }
+  scheduleSave()
+  return notifications[index]
+}
+
+// Remove notifications from the store, returns how many were removed. With
+// `profileId` only that profile's copies are removed.
+export const removeNotifications = (ids, profileId) => {
+  const idSet = new Set(ids)
+  const before = notifications.length
+  notifications = notifications.filter(
+    (notification) =>
+      !idSet.has(notification.id) ||
+      (profileId !== undefined && notification.profileId !== profileId)
+  )
+
+  const removed = before - notifications.length
+  if (removed) scheduleSave()
+  return removed
+}
+
+// Mark every unread notification matching the predicate as read, returns their ids
+export const markNotificationsRead = (predicate) => {
+  const ids = []
+  for (const notification of notifications) {
+    if (notification.read === false && predicate(notification)) {
+      notification.read = true
+      ids.push(notification.id)
+    }
+  }
+
+  if (ids.length) scheduleSave()
+  return ids
+}
+
+// All stored notifications, newest first
+export const getNotifications = () => notifications
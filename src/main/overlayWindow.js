@@ -0,0 +1,138 @@
+import { BrowserWindow, ipcMain, screen, shell } from 'electron'
+import { join } from 'path'
+import { is } from '@electron-toolkit/utils'
+import { serviceEvents, getSettings, updateSettings } from './discordRpcService'
+import { shouldAlert } from './quietHours'
+import { getWindowState, trackWindowState } from './windowState'
+
+// A small frameless window that stays on top of everything, even full screen
+// games, and shows the latest few notifications. It gets the same
+// discord:notification events as the main window. With click-through on it
+// ignores the mouse, so it's switched back from the tray or the settings.
+//
+// Settings used:
+//   overlay - { enabled, style: 'toasts' | 'ticker', count, opacity, clickThrough }
+
+export const OVERLAY_STYLES = ['toasts', 'ticker']
+
+const MAX_COUNT = 20
+const MIN_OPACITY = 0.2
+
+const DEFAULT_WIDTH = 360
+const DEFAULT_HEIGHT = 320
+// Gap from the corner of the screen when there's no saved position
+const SCREEN_MARGIN = 16
+
+let overlayWindow = null
+
+const clamp = (value, min, max, fallback) => {
+  const number = Number(value)
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback
+}
+
+// Clean up the overlay settings coming from the renderer or from disk
+export const sanitizeOverlay = (overlay) => ({
+  enabled: Boolean(overlay?.enabled),
+  style: OVERLAY_STYLES.includes(overlay?.style) ? overlay.style : OVERLAY_STYLES[0],
+  count: Math.round(clamp(overlay?.count, 1, MAX_COUNT, 5)),
+  opacity: clamp(overlay?.opacity, MIN_OPACITY, 1, 0.9),
+  clickThrough: Boolean(overlay?.clickThrough)
+})
+
+// Until it's been moved, the top right corner of the primary display
+const getDefaultBounds = () => {
+  const { workArea } = screen.getPrimaryDisplay()
+  return {
+    x: workArea.x + workArea.width - DEFAULT_WIDTH - SCREEN_MARGIN,
+    y: workArea.y + SCREEN_MARGIN,
+    width: DEFAULT_WIDTH,
+    height: DEFAULT_HEIGHT
+  }
+}
+
+const createOverlay = () => {
+  const window = new BrowserWindow({
+    ...getWindowState('overlay', getDefaultBounds()).bounds,
+    minWidth: 200,
+    minHeight: 60,
+    show: false,
+    frame: false,
+    transparent: true,
+    alwaysOnTop: true,
+    skipTaskbar: true,
+    minimizable: false,
+    maximizable: false,
+    fullscreenable: false,
+    webPreferences: {
+      preload: join(__dirname, '../preload/index.js'),
+      sandbox: false
+    }
+  })
+  overlayWindow = window
+  trackWindowState(window, 'overlay')
+
+  // The default level sits below full screen windows
+  window.setAlwaysOnTop(true, 'screen-saver')
+  window.setVisibleOnAllWorkspaces(true, { visibleOnFullScreen: true })
+  window.setIgnoreMouseEvents(getSettings().overlay.clickThrough)
+
+  // Never take focus away from whatever is being played or shared
+  window.on('ready-to-show', () => window.showInactive())
+  window.on('closed', () => {
+    if (overlayWindow === window) overlayWindow = null
+  })
+
+  window.webContents.setWindowOpenHandler((details) => {
+    shell.openExternal(details.url)
+    return { action: 'deny' }
+  })
+
+  if (is.dev && process.env['ELECTRON_RENDERER_URL']) {
+    window.loadURL(`${process.env['ELECTRON_RENDERER_URL']}/overlay.html`)
+  } else {
+    window.loadFile(join(__dirname, '../renderer/overlay.html'))
+  }
+}
+
+// Close the overlay, e.g. because the main window is gone
+export const closeOverlay = () => {
+  if (overlayWindow && !overlayWindow.isDestroyed()) overlayWindow.close()
+}
+
+// Open, close or update the overlay to match the settings. Also called when the
+// main window is created, since closing that closes the overlay too.
+export const applyOverlay = () => {
+  const { overlay } = getSettings()
+  if (!overlay.enabled) {
+    closeOverlay()
+  } else if (!overlayWindow) {
+    createOverlay()
+  } else {
+    overlayWindow.setIgnoreMouseEvents(overlay.clickThrough)
+    overlayWindow.webContents.send('discord:overlay-config', overlay)
+  }
+}
+
+// Change some of the overlay settings, used by the tray and the overlay itself
+export const setOverlayOptions = (changes) => {
+  updateSettings({ overlay: sanitizeOverlay({ ...getSettings().overlay, ...changes }) })
+  return getSettings().overlay
+}
+
+export function initOverlay() {
+  serviceEvents.on('settings-change', applyOverlay)
+
+  // Nothing shows up there during Do Not Disturb unless a breakthrough rule matched
+  serviceEvents.on('notification', (notification) => {
+    if (overlayWindow && shouldAlert(notification)) {
+      overlayWindow.webContents.send('discord:notification', notification)
+    }
+  })
+
+  ipcMain.handle('discord:get-overlay-config', () => getSettings().overlay)
+
+  ipcMain.handle('discord:update-overlay', (_, changes) => ({
+    success: true,
+    overlay: setOverlayOptions(changes)
+  }))
+}
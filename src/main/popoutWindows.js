@@ -0,0 +1,94 @@
+import { BrowserWindow, ipcMain, shell } from 'electron'
+import { join } from 'path'
+import { is } from '@electron-toolkit/utils'
+import icon from '../../resources/icon.png?asset'
+import { getNotifications } from './notificationStore'
+import { registerWindow } from './windows'
+import { getWindowState, trackWindowState } from './windowState'
+
+// The feed for a single server or channel in a window of its own. It's the
+// same page as the main window, told by its URL which server or channel to
+// stick to. Each one remembers where it was left, by server or channel.
+
+const DEFAULT_BOUNDS = { width: 480, height: 640 }
+
+// Open pop-outs by key, so asking for the same feed twice focuses the first
+const popouts = new Map()
+
+// Name the window after the server or channel, going by a notification from it
+const getTitle = ({ serverId, channelId }) => {
+  const notification = getNotifications().find((n) =>
+    channelId ? n.channelId === channelId : n.serverId === serverId
+  )
+  if (!notification) return 'Discord Feed'
+  return channelId
+    ? `#${notification.channelName} - ${notification.serverName}`
+    : notification.serverName
+}
+
+// Open a feed for `serverId`, or for `channelId` if that's given instead
+export const openPopout = ({ serverId, channelId }) => {
+  const key = channelId ? `popout:channel:${channelId}` : `popout:server:${serverId}`
+  const existing = popouts.get(key)
+  if (existing) {
+    existing.show()
+    existing.focus()
+    return
+  }
+
+  const title = getTitle({ serverId, channelId })
+  const { bounds, maximized } = getWindowState(key, DEFAULT_BOUNDS)
+  const window = new BrowserWindow({
+    ...bounds,
+    title,
+    show: false,
+    autoHideMenuBar: true,
+    ...(process.platform === 'linux' ? { icon } : {}),
+    webPreferences: {
+      preload: join(__dirname, '../preload/index.js'),
+      sandbox: false
+    }
+  })
+  popouts.set(key, window)
+  registerWindow(window)
+  trackWindowState(window, key)
+
+  window.on('ready-to-show', () => {
+    if (maximized) window.maximize()
+    window.show()
+  })
+  window.on('closed', () => popouts.delete(key))
+
+  window.webContents.setWindowOpenHandler((details) => {
+    shell.openExternal(details.url)
+    return { action: 'deny' }
+  })
+
+  const query = channelId ? { channelId, title } : { serverId, title }
+  if (is.dev && process.env['ELECTRON_RENDERER_URL']) {
+    window.loadURL(`${process.env['ELECTRON_RENDERER_URL']}?${new URLSearchParams(query)}`)
+  } else {
+    window.loadFile(join(__dirname, '../renderer/index.html'), { query })
+  }
+}
+
+// Close every pop-out, they go along with the main window
+export const closePopouts = () => {
+  for (const window of popouts.values()) {
+    if (!window.isDestroyed()) window.close()
+  }
+}
+
+export function initPopouts() {
+  // `target` is { serverId } or { channelId }
+  ipcMain.handle('discord:open-popout', (_, target) => {
+    const { serverId, channelId } = target || {}
+    const isId = (id) => typeof id === 'string' && /^\d+$/.test(id)
+    if (!isId(channelId) && !isId(serverId)) {
+      return { success: false, error: 'Pick a server or channel to pop out' }
+    }
+
+    openPopout(isId(channelId) ? { channelId } : { serverId })
+    return { success: true }
+  })
+}
@@ -0,0 +1,55 @@
+// Profiles let several Discord applications (or Discord installs, like stable
+// next to PTB or Canary) be connected at once. Each has its own credentials,
+// RPC pipe and notification history.
+
+// Settings files from before profiles existed become this profile
+export const DEFAULT_PROFILE_ID = 'default'
+
+export const DEFAULT_PROFILE_COLOR = '#5865f2'
+
+// Discord opens the first free pipe out of discord-ipc-0 to discord-ipc-9
+const MAX_PIPE_ID = 9
+
+// Profile ids end up in file names, so keep them simple
+const PROFILE_ID_PATTERN = /^[\w-]{1,64}$/
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i
+
+export const createDefaultProfile = (changes = {}) => ({
+  id: DEFAULT_PROFILE_ID,
+  name: 'Default',
+  clientId: '',
+  clientSecret: '',
+  // null looks for Discord on every pipe
+  pipeId: null,
+  color: DEFAULT_PROFILE_COLOR,
+  ...changes
+})
+
+export const hasCredentials = (profile) =>
+  Boolean(profile.clientId?.trim() && profile.clientSecret?.trim())
+
+// Only keep the fields we know about, with sane values
+const normalizeProfile = (profile) => ({
+  id: profile.id,
+  name: String(profile.name || '').trim() || 'Profile',
+  clientId: String(profile.clientId || '').trim(),
+  clientSecret: String(profile.clientSecret || '').trim(),
+  pipeId:
+    Number.isInteger(profile.pipeId) && profile.pipeId >= 0 && profile.pipeId <= MAX_PIPE_ID
+      ? profile.pipeId
+      : null,
+  color: COLOR_PATTERN.test(profile.color) ? profile.color : DEFAULT_PROFILE_COLOR
+})
+
+// Clean up a profile list from the settings file or the renderer. Profiles with
+// a bad or repeated id are dropped, and there's always at least one.
+export const normalizeProfiles = (profiles) => {
+  const seen = new Set()
+  const normalized = []
+  for (const profile of Array.isArray(profiles) ? profiles : []) {
+    if (!PROFILE_ID_PATTERN.test(profile?.id) || seen.has(profile.id)) continue
+    seen.add(profile.id)
+    normalized.push(normalizeProfile(profile))
+  }
+  return normalized.length ? normalized : [createDefaultProfile()]
+}
@@ -0,0 +1,214 @@
+import { ipcMain } from 'electron'
+import { serviceEvents, getSettings, updateSettings } from './discordRpcService'
+import { getNotifications } from './notificationStore'
+import { getActivitySummary } from './notificationStats'
+import { broadcast } from './windows'
+
+// Do Not Disturb, either from the weekly quiet hours schedule or turned on by
+// hand. Notifications keep being stored while it's on, but nothing alerts for
+// them unless a breakthrough rule matched. When it ends the renderer gets a
+// "while you were away" summary of what came in.
+//
+// Settings used:
+//   quietHours  - { enabled, ranges: [{ days: [0-6], start: 'HH:MM', end: 'HH:MM' }] },
+//                 day 0 is Sunday and a range ending before it starts runs overnight
+//   dndOverride - { on, until } set by hand, wins over the schedule until `until`
+//   dndSince    - when the current quiet period started, so a summary can still
+//                 be made if it ended while the app was closed
+
+// Schedules are in minutes, so checking twice a minute is plenty
+const CHECK_INTERVAL_MS = 30 * 1000
+
+// How many highlighted or breakthrough notifications the summary lists
+const SUMMARY_HIGHLIGHTS = 5
+const SUMMARY_TOP = 5
+
+const HOUR_MS = 60 * 60 * 1000
+
+// Quick choices for turning it on by hand
+export const DND_PRESETS = [
+  { label: 'For 1 hour', getTime: () => Date.now() + HOUR_MS },
+  {
+    label: 'Until tomorrow morning',
+    getTime: () => {
+      const date = new Date()
+      date.setDate(date.getDate() + 1)
+      date.setHours(9, 0, 0, 0)
+      return date.getTime()
+    }
+  }
+]
+
+let active = false
+// The last summary, until the renderer dismisses it
+let summary = null
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number)
+  return hours * 60 + minutes
+}
+
+const isValidTime = (time) => /^([01]\d|2[0-3]):[0-5]\d$/.test(time)
+
+// Clean up the quiet hours schedule coming from the renderer or from disk
+export const sanitizeQuietHours = (quietHours) => ({
+  enabled: Boolean(quietHours?.enabled),
+  ranges: (Array.isArray(quietHours?.ranges) ? quietHours.ranges : [])
+    .filter((range) => isValidTime(range.start) && isValidTime(range.end))
+    .map((range) => ({
+      days: [...new Set(range.days)].filter((day) => Number.isInteger(day) && day >= 0 && day <= 6),
+      start: range.start,
+      end: range.end
+    }))
+})
+
+// The end of the scheduled range `date` falls in, or null outside quiet hours.
+// A range whose start and end are the same covers the whole day.
+const getScheduledEnd = (date, quietHours) => {
+  if (!quietHours?.enabled) return null
+
+  const day = date.getDay()
+  const previousDay = (day + 6) % 7
+  const minutes = date.getHours() * 60 + date.getMinutes()
+  const at = (dayOffset, time) => {
+    const end = new Date(date)
+    end.setDate(end.getDate() + dayOffset)
+    end.setHours(0, toMinutes(time), 0, 0)
+    return end.getTime()
+  }
+
+  for (const range of quietHours.ranges) {
+    const start = toMinutes(range.start)
+    const end = toMinutes(range.end)
+
+    if (start === end) {
+      if (range.days.includes(day)) return at(1, '00:00')
+    } else if (start < end) {
+      if (range.days.includes(day) && minutes >= start && minutes < end) return at(0, range.end)
+    } else if (range.days.includes(day) && minutes >= start) {
+      return at(1, range.end)
+    } else if (range.days.includes(previousDay) && minutes < end) {
+      return at(0, range.end)
+    }
+  }
+  return null
+}
+
+// Whether Do Not Disturb is on at `now`
+export const isDndActive = (now = Date.now()) => {
+  const { quietHours, dndOverride } = getSettings()
+  if (dndOverride && dndOverride.until > now) return dndOverride.on
+  return getScheduledEnd(new Date(now), quietHours) !== null
+}
+
+// Whether a new notification should alert: always outside Do Not Disturb, and
+// during it only when a breakthrough rule matched
+export const shouldAlert = (notification) => !isDndActive() || Boolean(notification?.breakthrough)
+
+// What the renderer shows: whether it's on, until when, and why
+const getDndState = () => {
+  const now = Date.now()
+  const { quietHours, dndOverride } = getSettings()
+  const isOverride = Boolean(dndOverride && dndOverride.until > now)
+  const scheduledEnd = getScheduledEnd(new Date(now), quietHours)
+
+  return {
+    active,
+    until: isOverride ? dndOverride.until : scheduledEnd,
+    source: isOverride ? 'manual' : scheduledEnd ? 'schedule' : null,
+    summary
+  }
+}
+
+// Notifications that came in while Do Not Disturb was on, summarized
+const buildSummary = (since, until) => {
+  const received = getNotifications().filter((notification) => {
+    const time = new Date(notification.timestamp).getTime()
+    return !notification.muted && time >= since && time <= until
+  })
+  if (received.length === 0) return null
+
+  const { topServers, topChannels } = getActivitySummary(received)
+  return {
+    since,
+    until,
+    total: received.length,
+    unread: received.filter((notification) => notification.read === false).length,
+    topServers: topServers.slice(0, SUMMARY_TOP),
+    topChannels: topChannels.slice(0, SUMMARY_TOP),
+    highlights: received
+      .filter((notification) => notification.highlighted || notification.breakthrough)
+      .slice(0, SUMMARY_HIGHLIGHTS)
+  }
+}
+
+const sendDndChange = () => {
+  const state = getDndState()
+  broadcast('discord:dnd-change', state)
+  serviceEvents.emit('dnd-change', state)
+}
+
+// Follow the schedule and the override, starting or ending a quiet period when
+// they say so. Also called on startup, which may finish a period that ended
+// while the app was closed.
+const checkDnd = () => {
+  const now = Date.now()
+  const { dndOverride, dndSince } = getSettings()
+  const isActive = isDndActive(now)
+  const changes = {}
+
+  if (dndOverride && dndOverride.until <= now) changes.dndOverride = null
+
+  if (isActive && !dndSince) {
+    changes.dndSince = now
+  } else if (!isActive && dndSince) {
+    changes.dndSince = null
+    summary = buildSummary(dndSince, now) || summary
+  }
+
+  const changed = isActive !== active || Object.keys(changes).length > 0
+  active = isActive
+  if (Object.keys(changes).length > 0) updateSettings(changes)
+  if (changed) sendDndChange()
+}
+
+// Turn Do Not Disturb on until `until`, or off with null. Turning it off during
+// quiet hours keeps it off until the scheduled range would have ended.
+export const setDnd = (until) => {
+  const now = Date.now()
+  let dndOverride = null
+  if (until) {
+    dndOverride = { on: true, until }
+  } else {
+    const scheduledEnd = getScheduledEnd(new Date(now), getSettings().quietHours)
+    if (scheduledEnd) dndOverride = { on: false, until: scheduledEnd }
+  }
+
+  updateSettings({ dndOverride })
+  checkDnd()
+  return getDndState()
+}
+
+export function initQuietHours() {
+  checkDnd()
+  setInterval(checkDnd, CHECK_INTERVAL_MS)
+  // The schedule may have been edited
+  serviceEvents.on('settings-change', () => {
+    if (isDndActive() !== active) checkDnd()
+  })
+
+  ipcMain.handle('discord:get-dnd-state', () => getDndState())
+
+  // `until` is ms since epoch, or null to turn it off
+  ipcMain.handle('discord:set-dnd', (_, until) => {
+    if (until !== null && !(Number.isFinite(until) && until > Date.now())) {
+      return { success: false, error: 'Pick a time in the future' }
+    }
+    return { success: true, state: setDnd(until) }
+  })
+
+  ipcMain.handle('discord:dismiss-dnd-summary', () => {
+    summary = null
+    return { success: true }
+  })
+}
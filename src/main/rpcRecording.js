@@ -0,0 +1,211 @@
+import { app } from 'electron'
+import fs from 'fs'
+import { Transport } from '@xhayper/discord-rpc'
+
+// Record an RPC session to a file and play it back later without Discord running.
+// Start the app with one of:
+//   --record-rpc=<file>    save what Discord sends while connected
+//   --replay-rpc=<file>    connect to the recording instead of Discord
+//   --replay-speed=<n>     play n times faster (default 1, 0 for no delays)
+// The same options can be set with the DISCORD_FEED_RECORD, DISCORD_FEED_REPLAY
+// and DISCORD_FEED_REPLAY_SPEED environment variables.
+//
+// Recordings are JSON lines: a header, then command responses and dispatched
+// events, each with `t` in milliseconds since the recording started.
+
+const RECORDING_VERSION = 1
+
+// Command responses worth keeping, everything else is answered with an empty result
+const RECORDED_COMMANDS = [
+  'AUTHENTICATE',
+  'GET_GUILDS',
+  'GET_CHANNELS',
+  'GET_CHANNEL',
+  'GET_SELECTED_VOICE_CHANNEL'
+]
+
+// Read a command line switch, falling back to an environment variable
+const getOption = (name, envName) =>
+  app.commandLine.getSwitchValue(name) || process.env[envName] || ''
+
+export const getRecordingOptions = () => {
+  const speed = Number(getOption('replay-speed', 'DISCORD_FEED_REPLAY_SPEED') || 1)
+  return {
+    recordPath: getOption('record-rpc', 'DISCORD_FEED_RECORD'),
+    replayPath: getOption('replay-rpc', 'DISCORD_FEED_REPLAY'),
+    replaySpeed: Number.isFinite(speed) && speed >= 0 ? speed : 1
+  }
+}
+
+// Responses to the same command are told apart by what they were asked for
+const responseKey = (cmd, args) => `${cmd}:${args?.guild_id || args?.channel_id || ''}`
+
+// Only the parts of AUTHENTICATE that identify the account, never the token
+// (its arguments are left out for the same reason)
+const stripSecrets = (cmd, data) =>
+  cmd === 'AUTHENTICATE' ? { user: data?.user, application: data?.application } : data
+
+// Write everything the client receives to `filePath`. Commands are matched to
+// their responses by nonce so the arguments can be stored with them.
+export const attachRecorder = (client, filePath) => {
+  const startedAt = Date.now()
+  const stream = fs.createWriteStream(filePath, { flags: 'w' })
+  const write = (entry) =>
+    stream.write(`${JSON.stringify({ t: Date.now() - startedAt, ...entry })}\n`)
+  const sentArgs = new Map()
+
+  stream.write(
+    `${JSON.stringify({ kind: 'header', version: RECORDING_VERSION, recordedAt: new Date().toISOString() })}\n`
+  )
+  console.log('Recording Discord RPC session to:', filePath)
+
+  const transport = client.transport
+  const send = transport.send.bind(transport)
+  transport.send = (payload, ...rest) => {
+    if (payload?.nonce) sentArgs.set(payload.nonce, payload.args)
+    return send(payload, ...rest)
+  }
+
+  transport.on('message', (message) => {
+    if (message.cmd === 'DISPATCH') {
+      write({ kind: 'dispatch', evt: message.evt, data: message.data })
+      return
+    }
+
+    const args = sentArgs.get(message.nonce)
+    sentArgs.delete(message.nonce)
+    if (RECORDED_COMMANDS.includes(message.cmd) && message.evt !== 'ERROR') {
+      write({
+        kind: 'response',
+        cmd: message.cmd,
+        args: message.cmd === 'AUTHENTICATE' ? undefined : args,
+        data: stripSecrets(message.cmd, message.data)
+      })
+    }
+  })
+
+  transport.on('close', () => stream.end())
+}
+
+const readRecording = (filePath) => {
+  const entries = fs
+    .readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line))
+
+  const header = entries.find((entry) => entry.kind === 'header')
+  if (header?.version !== RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version: ${header?.version}`)
+  }
+
+  const responses = new Map()
+  for (const entry of entries) {
+    if (entry.kind === 'response') {
+      responses.set(responseKey(entry.cmd, entry.args), entry.data)
+    }
+  }
+  const events = entries.filter((entry) => entry.kind === 'dispatch')
+  return { responses, events }
+}
+
+// Transport that answers commands from a recording and replays its events once
+// they're subscribed to. Pass it as the client's `transport.type`.
+export const createReplayTransport = (filePath, speed) => {
+  const recording = readRecording(filePath)
+  const ready = recording.events.find((event) => event.evt === 'READY')
+  const playable = recording.events.filter((event) => event.evt !== 'READY')
+
+  return class ReplayTransport extends Transport {
+    connected = false
+    subscribed = new Set()
+    timers = []
+    playing = false
+
+    get isConnected() {
+      return this.connected
+    }
+
+    async connect() {
+      this.connected = true
+      this.emit('open')
+      console.log(
+        `Replaying Discord RPC session from ${filePath} at ${speed ? `${speed}x` : 'full'} speed`
+      )
+      setImmediate(() =>
+        this.emit('message', {
+          cmd: 'DISPATCH',
+          evt: 'READY',
+          nonce: null,
+          data: ready?.data || { v: 1, user: recording.responses.get('AUTHENTICATE:')?.user }
+        })
+      )
+    }
+
+    // Answer a command the way Discord did when it was recorded
+    send({ cmd, args, evt, nonce }) {
+      if (!this.connected) return
+
+      let data
+      if (cmd === 'SUBSCRIBE') {
+        this.subscribed.add(evt)
+        data = { evt }
+        this.play()
+      } else if (cmd === 'UNSUBSCRIBE') {
+        this.subscribed.delete(evt)
+        data = { evt }
+      } else if (recording.responses.has(responseKey(cmd, args))) {
+        data = recording.responses.get(responseKey(cmd, args))
+      } else if (RECORDED_COMMANDS.includes(cmd)) {
+        this.reply({
+          cmd,
+          nonce,
+          evt: 'ERROR',
+          data: { code: 4000, message: `${cmd} was not recorded` }
+        })
+        return
+      } else {
+        data = {}
+      }
+
+      this.reply({ cmd, nonce, evt: null, data })
+    }
+
+    reply(message) {
+      setImmediate(() => this.connected && this.emit('message', message))
+    }
+
+    // Start the event timeline the first time anything is subscribed to
+    play() {
+      if (this.playing || playable.length === 0) return
+      this.playing = true
+
+      const start = playable[0].t
+      for (const event of playable) {
+        const delay = speed > 0 ? (event.t - start) / speed : 0
+        this.timers.push(
+          setTimeout(() => {
+            if (this.subscribed.has(event.evt)) {
+              this.emit('message', {
+                cmd: 'DISPATCH',
+                evt: event.evt,
+                nonce: null,
+                data: event.data
+              })
+            }
+          }, delay)
+        )
+      }
+    }
+
+    ping() {}
+
+    async close() {
+      if (!this.connected) return
+      this.connected = false
+      this.timers.forEach(clearTimeout)
+      this.timers = []
+      this.emit('close', 'Replay closed')
+    }
+  }
+}
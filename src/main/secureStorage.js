@@ -0,0 +1,10 @@
+import { safeStorage } from 'electron'
+
+// Encrypt secrets at rest with the OS keychain (Keychain, DPAPI, libsecret).
+// Only usable once the app is ready.
+
+export const canEncrypt = () => safeStorage.isEncryptionAvailable()
+
+export const encryptSecret = (value) => safeStorage.encryptString(value).toString('base64')
+
+export const decryptSecret = (value) => safeStorage.decryptString(Buffer.from(value, 'base64'))
@@ -0,0 +1,54 @@
+// Timers for snoozed notifications. The snooze time is stored on the
+// notification itself, so the timers are rebuilt from the store on startup and
+// anything that came due while the app was closed fires right away.
+
+// setTimeout can't wait longer than about 24.8 days
+const MAX_TIMER_MS = 2 ** 31 - 1
+
+// Timers by profile and message id, every profile has its own copy of a message
+const timers = new Map()
+let onDue = () => {}
+
+const getKey = (id, profileId) => `${profileId}:${id}`
+
+// Wait until `until`, in steps of at most MAX_TIMER_MS
+const arm = (id, profileId, until) => {
+  const key = getKey(id, profileId)
+  clearTimeout(timers.get(key))
+  const delay = Math.max(0, until - Date.now())
+  const timer = setTimeout(
+    () => {
+      if (delay > MAX_TIMER_MS) {
+        arm(id, profileId, until)
+        return
+      }
+      timers.delete(key)
+      onDue(id, profileId)
+    },
+    Math.min(delay, MAX_TIMER_MS)
+  )
+  timers.set(key, timer)
+}
+
+export const scheduleSnooze = (id, profileId, until) => arm(id, profileId, until)
+
+export const cancelSnooze = (id, profileId) => {
+  const key = getKey(id, profileId)
+  clearTimeout(timers.get(key))
+  timers.delete(key)
+}
+
+// Arm a timer for every snoozed notification. `handler` gets the id and
+// profile id of each notification as it comes due. Calling it again re-arms
+// everything, which is needed after the computer wakes up since timers don't
+// count time asleep.
+export const startSnoozeScheduler = (notifications, handler) => {
+  onDue = handler
+  for (const timer of timers.values()) clearTimeout(timer)
+  timers.clear()
+  for (const notification of notifications) {
+    if (notification.snoozedUntil) {
+      arm(notification.id, notification.profileId, notification.snoozedUntil)
+    }
+  }
+}
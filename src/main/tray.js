@@ -0,0 +1,203 @@
+import { app, Tray, Menu, nativeImage } from 'electron'
+import icon from '../../resources/icon.png?asset'
+import {
+  serviceEvents,
+  connectDiscord,
+  disconnectDiscord,
+  cancelReconnect,
+  markRead,
+  getSettings,
+  getConnections,
+  getUnreadTotal,
+  CONNECTION_STATES
+} from './discordRpcService'
+import { getNotifications } from './notificationStore'
+import { isDndActive, setDnd, DND_PRESETS } from './quietHours'
+import { setOverlayOptions } from './overlayWindow'
+import { getMainWindow } from './windows'
+
+const TRAY_ICON_SIZE = 16
+const BADGE_COLOR = { r: 0xed, g: 0x42, b: 0x45 }
+
+let tray = null
+let baseIcon = null
+let badgedIcon = null
+let overlayIcon = null
+
+// Paint a filled circle into a BGRA bitmap
+const drawDot = (bitmap, size, centerX, centerY, radius) => {
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const dx = x + 0.5 - centerX
+      const dy = y + 0.5 - centerY
+      if (dx * dx + dy * dy <= radius * radius) {
+        const offset = (y * size + x) * 4
+        bitmap[offset] = BADGE_COLOR.b
+        bitmap[offset + 1] = BADGE_COLOR.g
+        bitmap[offset + 2] = BADGE_COLOR.r
+        bitmap[offset + 3] = 0xff
+      }
+    }
+  }
+  return bitmap
+}
+
+// Build the plain and "has unread" tray icons plus the taskbar overlay once
+const createIcons = () => {
+  baseIcon = nativeImage.createFromPath(icon).resize({
+    width: TRAY_ICON_SIZE,
+    height: TRAY_ICON_SIZE
+  })
+
+  const size = baseIcon.getSize().width
+  const bitmap = drawDot(Buffer.from(baseIcon.toBitmap()), size, size * 0.75, size * 0.75, size / 4)
+  badgedIcon = nativeImage.createFromBitmap(bitmap, { width: size, height: size })
+
+  overlayIcon = nativeImage.createFromBitmap(drawDot(Buffer.alloc(16 * 16 * 4), 16, 8, 8, 7), {
+    width: 16,
+    height: 16
+  })
+}
+
+// The connect/disconnect entry depends on where a profile's connection is at.
+// With several profiles each entry is labelled with the profile's name.
+const getConnectionMenuItem = (profile, state, showName) => {
+  const name = showName ? ` ${profile.name}` : ''
+  switch (state) {
+    case CONNECTION_STATES.CONNECTED:
+      return { label: `Disconnect${name}`, click: () => disconnectDiscord(profile.id) }
+    case CONNECTION_STATES.RECONNECTING:
+      return { label: `Cancel reconnect${name}`, click: () => cancelReconnect(profile.id) }
+    case CONNECTION_STATES.CONNECTING:
+    case CONNECTION_STATES.AUTHORIZING:
+      return { label: `Connecting${name}...`, enabled: false }
+    default:
+      return {
+        label: showName ? `Connect ${profile.name}` : 'Connect to Discord',
+        click: () => connectDiscord(profile.id)
+      }
+  }
+}
+
+// Rebuild the tray menu so the labels match the current state. Call it when the
+// window is shown or hidden so the Show/Hide label stays right.
+export const refreshTray = () => {
+  if (!tray) return
+  const window = getMainWindow()
+  const isVisible = Boolean(window?.isVisible())
+  const { profiles, overlay } = getSettings()
+  const connections = getConnections()
+
+  tray.setContextMenu(
+    Menu.buildFromTemplate([
+      {
+        label: isVisible ? 'Hide Discord Feed' : 'Show Discord Feed',
+        click: () => toggleWindow()
+      },
+      { type: 'separator' },
+      ...profiles.map((profile) =>
+        getConnectionMenuItem(profile, connections[profile.id].state, profiles.length > 1)
+      ),
+      {
+        label: 'Mark all read',
+        enabled: getUnreadTotal() > 0,
+        click: () => markRead({ all: true })
+      },
+      {
+        label: isDndActive() ? 'Do not disturb (on)' : 'Do not disturb',
+        submenu: [
+          ...DND_PRESETS.map((preset) => ({
+            label: preset.label,
+            click: () => setDnd(preset.getTime())
+          })),
+          { label: 'Turn off', enabled: isDndActive(), click: () => setDnd(null) }
+        ]
+      },
+      {
+        label: 'Show overlay',
+        type: 'checkbox',
+        checked: overlay.enabled,
+        click: (item) => setOverlayOptions({ enabled: item.checked })
+      },
+      {
+        // The only way to reach it again once it ignores the mouse
+        label: 'Overlay click-through',
+        type: 'checkbox',
+        checked: overlay.clickThrough,
+        enabled: overlay.enabled,
+        click: (item) => setOverlayOptions({ clickThrough: item.checked })
+      },
+      { type: 'separator' },
+      { label: 'Quit', click: () => app.quit() }
+    ])
+  )
+}
+
+// During Do Not Disturb only unread breakthrough notifications get the badge
+const hasAlertingUnread = () =>
+  !isDndActive() ||
+  getNotifications().some(
+    (notification) =>
+      notification.breakthrough && notification.read === false && !notification.muted
+  )
+
+// Show the unread count on the tray icon, dock/launcher and Windows taskbar
+const updateBadge = (unread) => {
+  const window = getMainWindow()
+  const total = hasAlertingUnread() ? unread : 0
+
+  tray.setImage(total > 0 ? badgedIcon : baseIcon)
+  tray.setToolTip(
+    ['Discord Feed', unread > 0 && `${unread} unread`, isDndActive() && 'do not disturb']
+      .filter(Boolean)
+      .join(' - ')
+  )
+  if (process.platform === 'darwin') {
+    tray.setTitle(total > 0 ? `${total}` : '')
+  }
+
+  // Dock on macOS and Unity launchers on Linux
+  app.setBadgeCount(total)
+
+  // Windows has no badge count, so use an overlay on the taskbar button
+  if (process.platform === 'win32' && window && !window.isDestroyed()) {
+    window.setOverlayIcon(total > 0 ? overlayIcon : null, total > 0 ? `${total} unread` : '')
+  }
+}
+
+// Show and focus the window, or hide it if it's already showing
+export const toggleWindow = () => {
+  const window = getMainWindow()
+  if (!window) return
+
+  if (window.isVisible() && !window.isMinimized()) {
+    window.hide()
+  } else {
+    window.show()
+    window.focus()
+  }
+}
+
+// Create the tray icon, which shows and hides the main window
+export function initTray() {
+  createIcons()
+  tray = new Tray(baseIcon)
+
+  tray.on('click', () => toggleWindow())
+
+  // Menu labels depend on the connection and unread state
+  serviceEvents.on('connection-change', () => refreshTray())
+  // The overlay entries follow the settings
+  serviceEvents.on('settings-change', () => refreshTray())
+  serviceEvents.on('unread-change', (counts) => {
+    updateBadge(counts.total)
+    refreshTray()
+  })
+  serviceEvents.on('dnd-change', () => {
+    updateBadge(getUnreadTotal())
+    refreshTray()
+  })
+
+  updateBadge(getUnreadTotal())
+  refreshTray()
+}
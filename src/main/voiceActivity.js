@@ -0,0 +1,307 @@
+import { app, ipcMain } from 'electron'
+import { join } from 'path'
+import fs from 'fs'
+import { broadcast } from './windows'
+
+// Who joined or left the voice channel you're in, mute/deafen changes and the
+// voice connection status, from the voice events the rpc.voice.read scope
+// gives access to. Every profile's connection gets a tracker from
+// createVoiceTracker, and they all write to one timeline.
+
+// How many voice events are kept
+const MAX_EVENTS = 500
+
+// How long to wait after a change before writing the timeline to disk
+const SAVE_DELAY_MS = 1000
+
+// Voice state events are per channel, so these are resubscribed on every move
+const VOICE_STATE_EVENTS = ['VOICE_STATE_CREATE', 'VOICE_STATE_UPDATE', 'VOICE_STATE_DELETE']
+
+// Connection states worth a line in the timeline, the ones in between are noise
+const RECORDED_CONNECTION_STATES = ['VOICE_CONNECTED', 'VOICE_DISCONNECTED', 'NO_ROUTE']
+
+// Newest first
+let events = []
+let saveTimer = null
+// Trackers by profile id, for the current channel of each
+const trackers = new Map()
+
+const getTimelinePath = () => join(app.getPath('userData'), 'discord-voice-activity.json')
+
+// Write the timeline to disk right away
+export const flushVoiceActivity = () => {
+  if (saveTimer) {
+    clearTimeout(saveTimer)
+    saveTimer = null
+  }
+
+  try {
+    fs.mkdirSync(join(getTimelinePath(), '..'), { recursive: true })
+    fs.writeFileSync(getTimelinePath(), JSON.stringify({ version: 1, events }), 'utf8')
+  } catch (error) {
+    console.error('Failed to save voice activity:', error)
+  }
+}
+
+const scheduleSave = () => {
+  if (saveTimer) return
+  saveTimer = setTimeout(flushVoiceActivity, SAVE_DELAY_MS)
+}
+
+const loadTimeline = () => {
+  try {
+    if (fs.existsSync(getTimelinePath())) {
+      const parsed = JSON.parse(fs.readFileSync(getTimelinePath(), 'utf8'))
+      events = Array.isArray(parsed.events) ? parsed.events.slice(0, MAX_EVENTS) : []
+    }
+  } catch (error) {
+    console.error('Failed to load voice activity:', error)
+    events = []
+  }
+}
+
+// The channel each connected profile is in, with who's there
+const getCurrentChannels = () =>
+  [...trackers.values()].map((tracker) => tracker.getCurrent()).filter(Boolean)
+
+const sendVoiceChange = (event) => {
+  broadcast('discord:voice-activity', {
+    event,
+    current: getCurrentChannels()
+  })
+}
+
+const recordEvent = (entry) => {
+  const event = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+    timestamp: Date.now(),
+    ...entry
+  }
+  events.unshift(event)
+  events.length = Math.min(events.length, MAX_EVENTS)
+  scheduleSave()
+  sendVoiceChange(event)
+}
+
+// The parts of a voice state payload we show
+const toMember = (data) => {
+  const user = data.user || {}
+  const voiceState = data.voice_state || {}
+  return {
+    id: user.id,
+    name: data.nick || user.global_name || user.username || 'Unknown User',
+    avatar: user.avatar ? `https://cdn.discordapp.com/avatars/${user.id}/${user.avatar}.png` : null,
+    muted: Boolean(voiceState.mute || voiceState.self_mute),
+    deafened: Boolean(voiceState.deaf || voiceState.self_deaf)
+  }
+}
+
+// Follow the voice channel a profile's account is in. `directory` is the
+// profile's channel directory, for server names.
+export const createVoiceTracker = (profileId, directory) => {
+  let client = null
+  let channel = null
+  let members = new Map()
+  let subscriptions = []
+  let connectionState = null
+  // Bumped on every move so a slow lookup for an old channel is ignored
+  let watchId = 0
+
+  const record = (type, member, detail) =>
+    recordEvent({
+      profileId,
+      type,
+      userId: member?.id || null,
+      userName: member?.name || null,
+      avatar: member?.avatar || null,
+      isSelf: Boolean(member && member.id === client?.user?.id),
+      channelId: channel?.id || null,
+      channelName: channel?.name || '',
+      serverName: channel?.serverName || '',
+      detail: detail || null
+    })
+
+  const unsubscribeAll = (list) => {
+    for (const subscription of list) {
+      subscription.unsubscribe().catch((error) => {
+        console.error('Failed to unsubscribe from voice states', error)
+      })
+    }
+  }
+
+  const unwatch = () => {
+    const previous = subscriptions
+    subscriptions = []
+    channel = null
+    members = new Map()
+    unsubscribeAll(previous)
+  }
+
+  // Start following a voice channel, or stop with null
+  const watch = async (channelId) => {
+    const id = ++watchId
+    unwatch()
+    if (!channelId || !client) return
+
+    const watchingClient = client
+    const fetched = await watchingClient.user.fetchChannel(channelId)
+    if (id !== watchId || client !== watchingClient) return
+
+    const info = directory.getChannelInfo(channelId)
+    channel = {
+      id: channelId,
+      name: fetched.name || info?.channelName || '',
+      serverName: info?.serverName || ''
+    }
+    // Whoever is already there doesn't get a "joined" line
+    members = new Map(
+      (fetched.voice_states || []).map(toMember).map((member) => [member.id, member])
+    )
+    const results = await Promise.allSettled(
+      VOICE_STATE_EVENTS.map((event) => watchingClient.subscribe(event, { channel_id: channelId }))
+    )
+    const subscribed = results
+      .filter((result) => result.status === 'fulfilled')
+      .map((result) => result.value)
+    const failed = results.find((result) => result.status === 'rejected')
+
+    // Don't leave half a set of subscriptions behind, or ones for a channel
+    // that was left while subscribing
+    if (failed || id !== watchId || client !== watchingClient) {
+      unsubscribeAll(subscribed)
+      if (!failed) return
+      // Not following it after all, so the next select for it tries again
+      if (id === watchId) {
+        channel = null
+        members = new Map()
+      }
+      throw failed.reason
+    }
+    subscriptions = subscribed
+  }
+
+  const handlers = {
+    // You joined, left or moved between voice channels
+    VOICE_CHANNEL_SELECT: async (data) => {
+      const channelId = data?.channel_id || null
+      if (channelId === (channel?.id || null)) return
+
+      const self = members.get(client?.user?.id)
+      if (channel) record('left', self || { id: client?.user?.id, name: 'You' })
+      try {
+        await watch(channelId)
+        if (channel) {
+          record('joined', members.get(client?.user?.id) || { id: client?.user?.id, name: 'You' })
+        } else {
+          sendVoiceChange(null)
+        }
+      } catch (error) {
+        console.error('Failed to follow voice channel', error)
+        sendVoiceChange(null)
+      }
+    },
+    // Your own joins and leaves come from VOICE_CHANNEL_SELECT above
+    VOICE_STATE_CREATE: (data) => {
+      const member = toMember(data)
+      if (!member.id || members.has(member.id)) return
+      members.set(member.id, member)
+      if (member.id !== client?.user?.id) record('joined', member)
+    },
+    VOICE_STATE_UPDATE: (data) => {
+      const member = toMember(data)
+      const previous = members.get(member.id)
+      if (!member.id) return
+      members.set(member.id, member)
+      if (!previous) return
+
+      if (previous.muted !== member.muted) record(member.muted ? 'muted' : 'unmuted', member)
+      if (previous.deafened !== member.deafened) {
+        record(member.deafened ? 'deafened' : 'undeafened', member)
+      }
+    },
+    VOICE_STATE_DELETE: (data) => {
+      const member = toMember(data)
+      if (!members.has(member.id)) return
+      members.delete(member.id)
+      if (member.id !== client?.user?.id) record('left', member)
+    },
+    VOICE_CONNECTION_STATUS: (data) => {
+      if (!RECORDED_CONNECTION_STATES.includes(data?.state) || data.state === connectionState) {
+        return
+      }
+      connectionState = data.state
+      record('connection', null, data.state)
+    }
+  }
+
+  // Subscribe once the client is ready, picking up the channel you're already in
+  const start = async (readyClient) => {
+    client = readyClient
+    for (const [event, handler] of Object.entries(handlers)) {
+      readyClient.on(event, handler)
+    }
+
+    try {
+      await readyClient.subscribe('VOICE_CHANNEL_SELECT')
+      await readyClient.subscribe('VOICE_CONNECTION_STATUS')
+      const selected = await readyClient.user.getSelectedVoiceChannel()
+      if (selected?.id && client === readyClient) {
+        await watch(selected.id)
+        sendVoiceChange(null)
+      }
+      console.log('Subscribed to voice activity')
+    } catch (error) {
+      console.error('Failed to subscribe to voice activity', error)
+    }
+  }
+
+  // The connection went away, the client is closed by the caller
+  const stop = () => {
+    if (client) {
+      for (const [event, handler] of Object.entries(handlers)) {
+        client.off(event, handler)
+      }
+    }
+    watchId++
+    subscriptions = []
+    channel = null
+    members = new Map()
+    connectionState = null
+    client = null
+    sendVoiceChange(null)
+  }
+
+  const getCurrent = () =>
+    channel && {
+      profileId,
+      channelId: channel.id,
+      channelName: channel.name,
+      serverName: channel.serverName,
+      members: [...members.values()]
+    }
+
+  const tracker = { start, stop, getCurrent }
+  trackers.set(profileId, tracker)
+  return tracker
+}
+
+// Forget a removed profile's tracker
+export const removeVoiceTracker = (profileId) => {
+  trackers.get(profileId)?.stop()
+  trackers.delete(profileId)
+}
+
+export function initVoiceActivity() {
+  loadTimeline()
+
+  ipcMain.handle('discord:get-voice-activity', () => ({
+    events,
+    current: getCurrentChannels()
+  }))
+
+  ipcMain.handle('discord:clear-voice-activity', () => {
+    events = []
+    scheduleSave()
+    return { success: true }
+  })
+}
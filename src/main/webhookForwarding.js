@@ -0,0 +1,396 @@
+import { app, ipcMain } from 'electron'
+import { join } from 'path'
+import fs from 'fs'
+import { serviceEvents } from './discordRpcService'
+import { shouldAlert } from './quietHours'
+import { getNotifications } from './notificationStore'
+import { broadcast } from './windows'
+
+// Forward notifications to webhooks (Discord, Slack, ntfy or any HTTP endpoint).
+// Payloads are rendered from a template when a notification arrives and go
+// through a retry queue that survives restarts, with a log of every attempt.
+
+// How the payload is sent, JSON templates get their values escaped
+const CONTENT_TYPES = ['application/json', 'text/plain']
+
+// Retry backoff: 10s, 20s, 40s... up to 30 minutes, then give up
+const RETRY_BASE_DELAY_MS = 10 * 1000
+const RETRY_MAX_DELAY_MS = 30 * 60 * 1000
+const MAX_ATTEMPTS = 8
+const REQUEST_TIMEOUT_MS = 10 * 1000
+const MAX_LOG_ENTRIES = 200
+
+let webhooks = []
+let patterns = new Map()
+// Pending deliveries, sent oldest first
+let queue = []
+// Newest first
+let deliveryLog = []
+let queueTimer = null
+let isDelivering = false
+
+const getWebhooksPath = () => join(app.getPath('userData'), 'discord-webhooks.json')
+const getQueuePath = () => join(app.getPath('userData'), 'discord-webhook-queue.json')
+
+const readJson = (filePath) => {
+  try {
+    if (fs.existsSync(filePath)) {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    }
+  } catch (error) {
+    console.error(`Failed to read ${filePath}:`, error)
+    const backupPath = `${filePath}.backup-${Date.now()}`
+    fs.copyFileSync(filePath, backupPath)
+    console.log('Created backup of invalid file at:', backupPath)
+  }
+  return null
+}
+
+const writeJson = (filePath, data) => {
+  try {
+    fs.mkdirSync(join(filePath, '..'), { recursive: true })
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8')
+  } catch (error) {
+    console.error(`Failed to write ${filePath}:`, error)
+  }
+}
+
+// Why `url` can't be posted to, or null if it can
+const getUrlError = (url) => {
+  if (!url) return 'URL is required'
+  try {
+    const { protocol } = new URL(url)
+    return protocol === 'http:' || protocol === 'https:' ? null : 'Use an http or https URL'
+  } catch {
+    return 'Not a valid URL'
+  }
+}
+
+// Clean up a webhook coming from the renderer or from disk
+const sanitizeWebhook = (webhook, index) => ({
+  id: webhook.id || `${Date.now()}-${index}`,
+  name: (webhook.name || '').trim() || `Webhook ${index + 1}`,
+  enabled: webhook.enabled !== false,
+  url: (webhook.url || '').trim(),
+  contentType: CONTENT_TYPES.includes(webhook.contentType)
+    ? webhook.contentType
+    : 'application/json',
+  template: webhook.template || '',
+  serverId: webhook.serverId || '',
+  channelId: webhook.channelId || '',
+  author: (webhook.author || '').trim(),
+  pattern: webhook.pattern || ''
+})
+
+const compilePatterns = () => {
+  patterns = new Map()
+  for (const webhook of webhooks) {
+    if (!webhook.pattern) continue
+    try {
+      patterns.set(webhook.id, new RegExp(webhook.pattern, 'i'))
+    } catch (error) {
+      console.error(`Invalid pattern in webhook "${webhook.name}":`, error.message)
+    }
+  }
+}
+
+// Unlike notification rules, a webhook without conditions forwards everything
+const webhookMatches = (webhook, notification) => {
+  const pattern = patterns.get(webhook.id)
+  if (webhook.pattern && !pattern) return false
+  if (webhook.serverId && webhook.serverId !== notification.serverId) return false
+  if (webhook.channelId && webhook.channelId !== notification.channelId) return false
+  if (
+    webhook.author &&
+    !(notification.author?.name || '').toLowerCase().includes(webhook.author.toLowerCase())
+  ) {
+    return false
+  }
+  if (pattern && !pattern.test(`${notification.title || ''}\n${notification.body || ''}`)) {
+    return false
+  }
+  return true
+}
+
+// Values available to templates as {{name}}
+const getTemplateFields = (notification) => ({
+  id: notification.id,
+  title: notification.title,
+  body: notification.body,
+  serverName: notification.serverName,
+  serverId: notification.serverId,
+  channelName: notification.channelName,
+  channelId: notification.channelId,
+  author: notification.author?.name,
+  authorAvatar: notification.author?.avatar,
+  icon: notification.icon,
+  messageLink: notification.messageLink,
+  timestamp: notification.timestamp,
+  tags: (notification.tags || []).map((tag) => tag.label).join(', ')
+})
+
+// Fill in a template. In JSON templates values are escaped so they can sit inside
+// a string, and the result has to parse.
+const renderTemplate = (template, notification, contentType) => {
+  const fields = getTemplateFields(notification)
+  const rendered = template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    if (!(name in fields)) return match
+    const value = fields[name] === undefined || fields[name] === null ? '' : String(fields[name])
+    return contentType === 'application/json' ? JSON.stringify(value).slice(1, -1) : value
+  })
+
+  if (contentType === 'application/json') {
+    JSON.parse(rendered)
+  }
+  return rendered
+}
+
+// Stand-in notification for previews and test deliveries
+const sampleNotification = () =>
+  getNotifications()[0] || {
+    id: 'test',
+    title: 'Test notification',
+    body: 'This is a test from Discord Feed',
+    serverName: 'Example Server',
+    serverId: '',
+    channelName: 'general',
+    channelId: '',
+    author: { name: 'Discord Feed', avatar: '' },
+    messageLink: '',
+    timestamp: new Date().toISOString(),
+    tags: []
+  }
+
+const saveQueue = () => writeJson(getQueuePath(), { queue, log: deliveryLog })
+
+// What the delivery log view shows
+const getLogState = () => ({ log: deliveryLog, pending: queue.length })
+
+const addLogEntry = (entry) => {
+  deliveryLog.unshift({ id: `${Date.now()}-${Math.random().toString(36).slice(2)}`, ...entry })
+  deliveryLog.length = Math.min(deliveryLog.length, MAX_LOG_ENTRIES)
+  broadcast('discord:webhook-log-change', getLogState())
+}
+
+// Wake up when the next delivery is due
+const scheduleQueue = () => {
+  if (queueTimer) {
+    clearTimeout(queueTimer)
+    queueTimer = null
+  }
+  if (queue.length === 0 || isDelivering) return
+
+  const nextAt = Math.min(...queue.map((delivery) => delivery.nextAttemptAt))
+  queueTimer = setTimeout(processQueue, Math.max(0, nextAt - Date.now()))
+}
+
+// POST a payload, resolving with how it went rather than throwing
+const send = async (delivery) => {
+  // Queued before URLs were checked, retrying won't fix it
+  const urlError = getUrlError(delivery.url)
+  if (urlError) {
+    return { ok: false, retryable: false, statusCode: null, error: urlError }
+  }
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: { 'content-type': delivery.contentType },
+      body: delivery.payload,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    })
+    if (response.ok) {
+      return { ok: true, statusCode: response.status }
+    }
+
+    // Client errors won't go away by retrying, except rate limits and timeouts
+    const retryable = response.status >= 500 || [408, 429].includes(response.status)
+    const retryAfter = Number(response.headers.get('retry-after'))
+    return {
+      ok: false,
+      retryable,
+      statusCode: response.status,
+      error: `HTTP ${response.status}`,
+      retryAfterMs: retryAfter > 0 ? retryAfter * 1000 : null
+    }
+  } catch (error) {
+    // Network failures come with the underlying error as the cause, and timeouts
+    // abort. Anything else means the request couldn't even be made.
+    const retryable = Boolean(error.cause) || error.name === 'TimeoutError'
+    return { ok: false, retryable, statusCode: null, error: error.message }
+  }
+}
+
+// Send everything that's due, one at a time
+const processQueue = async () => {
+  queueTimer = null
+  if (isDelivering) return
+  isDelivering = true
+
+  try {
+    let delivery
+    while ((delivery = queue.find((item) => item.nextAttemptAt <= Date.now()))) {
+      const attempt = delivery.attempts + 1
+      const result = await send(delivery)
+      const entry = {
+        webhookId: delivery.webhookId,
+        webhookName: delivery.webhookName,
+        notificationId: delivery.notificationId,
+        attempt,
+        statusCode: result.statusCode,
+        at: Date.now()
+      }
+
+      if (result.ok) {
+        queue = queue.filter((item) => item !== delivery)
+        addLogEntry({ ...entry, status: 'delivered' })
+      } else if (!result.retryable || attempt >= MAX_ATTEMPTS) {
+        queue = queue.filter((item) => item !== delivery)
+        addLogEntry({ ...entry, status: 'failed', error: result.error })
+      } else {
+        const delay =
+          result.retryAfterMs ??
+          Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), RETRY_MAX_DELAY_MS)
+        delivery.attempts = attempt
+        delivery.nextAttemptAt = Date.now() + delay
+        delivery.lastError = result.error
+        addLogEntry({
+          ...entry,
+          status: 'retrying',
+          error: result.error,
+          retryAt: delivery.nextAttemptAt
+        })
+      }
+      saveQueue()
+    }
+  } finally {
+    isDelivering = false
+    scheduleQueue()
+  }
+}
+
+const enqueue = (webhook, notification) => {
+  let payload
+  try {
+    payload = renderTemplate(webhook.template, notification, webhook.contentType)
+  } catch (error) {
+    addLogEntry({
+      webhookId: webhook.id,
+      webhookName: webhook.name,
+      notificationId: notification.id,
+      attempt: 0,
+      statusCode: null,
+      at: Date.now(),
+      status: 'failed',
+      error: `Template error: ${error.message}`
+    })
+    return
+  }
+
+  queue.push({
+    id: `${webhook.id}-${notification.id}`,
+    webhookId: webhook.id,
+    webhookName: webhook.name,
+    notificationId: notification.id,
+    url: webhook.url,
+    contentType: webhook.contentType,
+    payload,
+    attempts: 0,
+    nextAttemptAt: Date.now(),
+    createdAt: Date.now()
+  })
+}
+
+// Queue a notification for every enabled webhook it matches
+const forwardNotification = (notification) => {
+  // Held back during Do Not Disturb, unless a breakthrough rule matched
+  if (!shouldAlert(notification)) return
+
+  const matching = webhooks.filter(
+    (webhook) =>
+      webhook.enabled && !getUrlError(webhook.url) && webhookMatches(webhook, notification)
+  )
+  if (matching.length === 0) return
+
+  for (const webhook of matching) {
+    enqueue(webhook, notification)
+  }
+  saveQueue()
+  scheduleQueue()
+}
+
+const setWebhooks = (newWebhooks) => {
+  webhooks = Array.isArray(newWebhooks) ? newWebhooks.map(sanitizeWebhook) : []
+  compilePatterns()
+  writeJson(getWebhooksPath(), { webhooks })
+
+  // Deliveries for removed webhooks have nowhere to go
+  const ids = new Set(webhooks.map((webhook) => webhook.id))
+  queue = queue.filter((delivery) => ids.has(delivery.webhookId))
+  saveQueue()
+  scheduleQueue()
+  return webhooks
+}
+
+export function initWebhooks() {
+  const stored = readJson(getWebhooksPath())
+  webhooks = Array.isArray(stored?.webhooks) ? stored.webhooks.map(sanitizeWebhook) : []
+  compilePatterns()
+
+  const storedQueue = readJson(getQueuePath())
+  queue = Array.isArray(storedQueue?.queue) ? storedQueue.queue : []
+  deliveryLog = Array.isArray(storedQueue?.log) ? storedQueue.log : []
+  console.log(`Loaded ${webhooks.length} webhooks and ${queue.length} pending deliveries`)
+
+  serviceEvents.on('notification', forwardNotification)
+
+  ipcMain.handle('discord:get-webhooks', () => webhooks)
+
+  // Nothing is saved while a URL is wrong, `urlErrors` says which by webhook id
+  ipcMain.handle('discord:update-webhooks', (_, newWebhooks) => {
+    const urlErrors = {}
+    for (const webhook of Array.isArray(newWebhooks) ? newWebhooks : []) {
+      const error = getUrlError((webhook.url || '').trim())
+      if (error) urlErrors[webhook.id] = error
+    }
+    if (Object.keys(urlErrors).length) {
+      return { success: false, error: 'Some webhook URLs are not valid', urlErrors }
+    }
+    return { success: true, webhooks: setWebhooks(newWebhooks) }
+  })
+
+  // Render a template against the newest notification so the editor can show it
+  ipcMain.handle('discord:preview-webhook', (_, { template, contentType }) => {
+    try {
+      return { success: true, payload: renderTemplate(template, sampleNotification(), contentType) }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  })
+
+  // Send the newest notification to one webhook right away, without retries
+  ipcMain.handle('discord:test-webhook', async (_, webhook) => {
+    const target = sanitizeWebhook(webhook, 0)
+    let payload
+    try {
+      payload = renderTemplate(target.template, sampleNotification(), target.contentType)
+    } catch (error) {
+      return { success: false, error: `Template error: ${error.message}` }
+    }
+    const result = await send({ url: target.url, contentType: target.contentType, payload })
+    return result.ok
+      ? { success: true, statusCode: result.statusCode }
+      : { success: false, statusCode: result.statusCode, error: result.error }
+  })
+
+  ipcMain.handle('discord:get-webhook-log', () => getLogState())
+
+  ipcMain.handle('discord:clear-webhook-log', () => {
+    deliveryLog = []
+    saveQueue()
+    return getLogState()
+  })
+
+  // Pick up deliveries left over from the last run
+  scheduleQueue()
+}
@@ -0,0 +1,82 @@
+import { app, screen } from 'electron'
+import { join } from 'path'
+import fs from 'fs'
+
+// Where each window was left: its size, position and whether it was maximized,
+// by a key like 'main' or 'overlay'. Kept out of the settings file since it
+// changes every time a window is moved.
+
+// How long to wait after a change before writing to disk
+const SAVE_DELAY_MS = 1000
+
+let states = {}
+let saveTimer = null
+
+const getStatePath = () => join(app.getPath('userData'), 'window-state.json')
+
+// Write the window states to disk right away
+export const flushWindowState = () => {
+  if (saveTimer) {
+    clearTimeout(saveTimer)
+    saveTimer = null
+  }
+
+  try {
+    fs.mkdirSync(join(getStatePath(), '..'), { recursive: true })
+    fs.writeFileSync(getStatePath(), JSON.stringify({ version: 1, states }), 'utf8')
+  } catch (error) {
+    console.error('Failed to save window state:', error)
+  }
+}
+
+// Windows move in many small steps, so batch up writes
+const scheduleSave = () => {
+  if (saveTimer) return
+  saveTimer = setTimeout(flushWindowState, SAVE_DELAY_MS)
+}
+
+export const loadWindowState = () => {
+  try {
+    if (fs.existsSync(getStatePath())) {
+      const parsed = JSON.parse(fs.readFileSync(getStatePath(), 'utf8'))
+      states = parsed.states && typeof parsed.states === 'object' ? parsed.states : {}
+    }
+  } catch (error) {
+    console.error('Failed to load window state:', error)
+    states = {}
+  }
+}
+
+// Whether any part of `bounds` is on a connected display
+const isOnScreen = (bounds) =>
+  screen
+    .getAllDisplays()
+    .some(
+      ({ workArea }) =>
+        bounds.x < workArea.x + workArea.width &&
+        bounds.x + bounds.width > workArea.x &&
+        bounds.y < workArea.y + workArea.height &&
+        bounds.y + bounds.height > workArea.y
+    )
+
+// A window's saved `{ bounds, maximized }`. Windows that were never saved, or
+// were left on a display that's gone now, get `defaultBounds`.
+export const getWindowState = (key, defaultBounds) => {
+  const saved = states[key]
+  if (saved?.bounds && isOnScreen(saved.bounds)) return saved
+  return { bounds: defaultBounds, maximized: false }
+}
+
+// Save a window's state whenever it changes. While maximized the normal bounds
+// are kept, so un-maximizing after a restart still goes back to them.
+export const trackWindowState = (window, key) => {
+  const save = () => {
+    if (window.isDestroyed()) return
+    states[key] = { bounds: window.getNormalBounds(), maximized: window.isMaximized() }
+    scheduleSave()
+  }
+
+  for (const event of ['resize', 'move', 'maximize', 'unmaximize', 'close']) {
+    window.on(event, save)
+  }
+}
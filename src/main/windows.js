@@ -0,0 +1,26 @@
+// Every window showing the feed: the main window and any pop-outs. Events from
+// the main process go to all of them, so pop-outs stay as current as the main
+// window. The overlay isn't one of them, it picks what it shows itself.
+
+const windows = new Set()
+let mainWindow = null
+
+// Start sending events to a window, until it's closed
+export const registerWindow = (window, { isMain = false } = {}) => {
+  windows.add(window)
+  if (isMain) mainWindow = window
+
+  window.on('closed', () => {
+    windows.delete(window)
+    if (mainWindow === window) mainWindow = null
+  })
+}
+
+export const getMainWindow = () => mainWindow
+
+// Send an event to every window
+export const broadcast = (channel, payload) => {
+  for (const window of windows) {
+    if (!window.isDestroyed()) window.webContents.send(channel, payload)
+  }
+}
@@ -5,20 +5,101 @@ import { electronAPI } from '@electron-toolkit/preload'
 const api = {
   // Discord-related methods
   discord: {
-    connect: () => ipcRenderer.invoke('discord:connect'),
-    disconnect: () => ipcRenderer.invoke('discord:disconnect'),
+    connect: (profileId) => ipcRenderer.invoke('discord:connect', profileId),
+    disconnect: (profileId) => ipcRenderer.invoke('discord:disconnect', profileId),
+    cancelReconnect: (profileId) => ipcRenderer.invoke('discord:cancel-reconnect', profileId),
+    getConnections: () => ipcRenderer.invoke('discord:get-connections'),
     getNotifications: () => ipcRenderer.invoke('discord:get-notifications'),
     getNotificationsPage: (params) => ipcRenderer.invoke('discord:get-notifications-page', params),
+    queryNotifications: (query) => ipcRenderer.invoke('discord:query-notifications', query),
+    getNotificationFacets: () => ipcRenderer.invoke('discord:get-notification-facets'),
+    exportNotifications: (params) => ipcRenderer.invoke('discord:export-notifications', params),
     isConnected: () => ipcRenderer.invoke('discord:is-connected'),
     updateSettings: (settings) => ipcRenderer.invoke('discord:update-settings', settings),
     getSettings: () => ipcRenderer.invoke('discord:get-settings'),
+    forgetAuthorization: (profileId) =>
+      ipcRenderer.invoke('discord:forget-authorization', profileId),
+    regenerateApiToken: () => ipcRenderer.invoke('discord:regenerate-api-token'),
+    getApiStatus: () => ipcRenderer.invoke('discord:get-api-status'),
+    getImageCacheUsage: () => ipcRenderer.invoke('discord:get-image-cache-usage'),
+    clearImageCache: () => ipcRenderer.invoke('discord:clear-image-cache'),
+    getUnreadCounts: () => ipcRenderer.invoke('discord:get-unread-counts'),
+    getActivityTimeline: (query) => ipcRenderer.invoke('discord:get-activity-timeline', query),
+    getActivitySummary: (query) => ipcRenderer.invoke('discord:get-activity-summary', query),
+    markRead: (target) => ipcRenderer.invoke('discord:mark-read', target),
+    // Single notifications are picked by { id, profileId }, every profile has its own copy
+    openNotification: ({ id, profileId }) =>
+      ipcRenderer.invoke('discord:open-notification', { id, profileId }),
+    pinNotification: ({ id, profileId }, pinned) =>
+      ipcRenderer.invoke('discord:pin-notification', { id, profileId, pinned }),
+    bookmarkNotification: ({ id, profileId }, bookmarked) =>
+      ipcRenderer.invoke('discord:bookmark-notification', { id, profileId, bookmarked }),
+    snoozeNotification: ({ id, profileId }, until) =>
+      ipcRenderer.invoke('discord:snooze-notification', { id, profileId, until }),
+    getDndState: () => ipcRenderer.invoke('discord:get-dnd-state'),
+    setDnd: (until) => ipcRenderer.invoke('discord:set-dnd', until),
+    dismissDndSummary: () => ipcRenderer.invoke('discord:dismiss-dnd-summary'),
+    getOverlayConfig: () => ipcRenderer.invoke('discord:get-overlay-config'),
+    updateOverlay: (changes) => ipcRenderer.invoke('discord:update-overlay', changes),
+    // `target` is { serverId } or { channelId }
+    openPopout: (target) => ipcRenderer.invoke('discord:open-popout', target),
+    getVoiceActivity: () => ipcRenderer.invoke('discord:get-voice-activity'),
+    clearVoiceActivity: () => ipcRenderer.invoke('discord:clear-voice-activity'),
+    getRules: () => ipcRenderer.invoke('discord:get-rules'),
+    getWebhooks: () => ipcRenderer.invoke('discord:get-webhooks'),
+    updateWebhooks: (webhooks) => ipcRenderer.invoke('discord:update-webhooks', webhooks),
+    previewWebhook: (params) => ipcRenderer.invoke('discord:preview-webhook', params),
+    testWebhook: (webhook) => ipcRenderer.invoke('discord:test-webhook', webhook),
+    getWebhookLog: () => ipcRenderer.invoke('discord:get-webhook-log'),
+    clearWebhookLog: () => ipcRenderer.invoke('discord:clear-webhook-log'),
+    updateRules: (rules) => ipcRenderer.invoke('discord:update-rules', rules),
     onNotification: (callback) => {
       const listener = (_, notification) => callback(notification)
       ipcRenderer.on('discord:notification', listener)
       return () => ipcRenderer.removeListener('discord:notification', listener)
     },
+    onWebhookLogChange: (callback) => {
+      const listener = (_, logState) => callback(logState)
+      ipcRenderer.on('discord:webhook-log-change', listener)
+      return () => ipcRenderer.removeListener('discord:webhook-log-change', listener)
+    },
+    onNotificationsUpdated: (callback) => {
+      const listener = (_, notifications) => callback(notifications)
+      ipcRenderer.on('discord:notifications-updated', listener)
+      return () => ipcRenderer.removeListener('discord:notifications-updated', listener)
+    },
+    onNotificationsRemoved: (callback) => {
+      const listener = (_, removed) => callback(removed)
+      ipcRenderer.on('discord:notifications-removed', listener)
+      return () => ipcRenderer.removeListener('discord:notifications-removed', listener)
+    },
+    onNotificationResurfaced: (callback) => {
+      const listener = (_, notification) => callback(notification)
+      ipcRenderer.on('discord:notification-resurfaced', listener)
+      return () => ipcRenderer.removeListener('discord:notification-resurfaced', listener)
+    },
+    onReadChange: (callback) => {
+      const listener = (_, change) => callback(change)
+      ipcRenderer.on('discord:read-change', listener)
+      return () => ipcRenderer.removeListener('discord:read-change', listener)
+    },
+    onVoiceActivity: (callback) => {
+      const listener = (_, change) => callback(change)
+      ipcRenderer.on('discord:voice-activity', listener)
+      return () => ipcRenderer.removeListener('discord:voice-activity', listener)
+    },
+    onOverlayConfig: (callback) => {
+      const listener = (_, config) => callback(config)
+      ipcRenderer.on('discord:overlay-config', listener)
+      return () => ipcRenderer.removeListener('discord:overlay-config', listener)
+    },
+    onDndChange: (callback) => {
+      const listener = (_, state) => callback(state)
+      ipcRenderer.on('discord:dnd-change', listener)
+      return () => ipcRenderer.removeListener('discord:dnd-change', listener)
+    },
     onConnectionChange: (callback) => {
-      const listener = (_, isConnected) => callback(isConnected)
+      const listener = (_, connections) => callback(connections)
       ipcRenderer.on('discord:connection-change', listener)
       return () => ipcRenderer.removeListener('discord:connection-change', listener)
     }
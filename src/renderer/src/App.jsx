@@ -1,7 +1,49 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react'
 import PropTypes from 'prop-types'
+import FeedFilters from './components/FeedFilters'
+import VirtualList from './components/VirtualList'
+import RulesEditor from './components/RulesEditor'
+import UnreadSummary from './components/UnreadSummary'
+import ProfileConnections from './components/ProfileConnections'
+import ProfilesEditor from './components/ProfilesEditor'
+import LocalApiSettings from './components/LocalApiSettings'
+import WebhooksModal from './components/WebhooksModal'
+import StatsModal from './components/StatsModal'
+import NotificationGroup from './components/NotificationGroup'
+import SnoozeMenu from './components/SnoozeMenu'
+import MessageMarkup from './components/MessageMarkup'
+import ImageCacheSettings from './components/ImageCacheSettings'
+import QuietHoursEditor from './components/QuietHoursEditor'
+import DndControl from './components/DndControl'
+import AwaySummary from './components/AwaySummary'
+import OverlaySettings from './components/OverlaySettings'
+import VoiceActivity from './components/VoiceActivity'
+import { isQuietRangeValid } from './utils/quietHours'
+import { getAvatarUrl } from './utils/images'
+import { isRuleValid } from './utils/rules'
+import { isProfileValid } from './utils/profiles'
+import {
+  EMPTY_FILTERS,
+  hasActiveFilters,
+  toQuery,
+  matchesScope,
+  scopeFacets,
+  getPopoutTarget,
+  insertNotification,
+  getNotificationKey
+} from './utils/feedQuery'
+import { groupNotifications } from './utils/grouping'
 import './App.css'
 
+const NO_QUIET_HOURS = { enabled: false, ranges: [] }
+const DEFAULT_OVERLAY = {
+  enabled: false,
+  style: 'toasts',
+  count: 5,
+  opacity: 0.9,
+  clickThrough: false
+}
+
 // Sun icon for light theme toggle
 const SunIcon = () => (
   <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor">
@@ -31,6 +73,24 @@ const SettingsIcon = () => (
   </svg>
 )
 
+// Outgoing arrow icon for the webhooks button
+const WebhookIcon = () => (
+  <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor">
+    <path
+      fillRule="evenodd"
+      d="M15.75 2.25H21a.75.75 0 01.75.75v5.25a.75.75 0 01-1.5 0V4.81L8.03 17.03a.75.75 0 01-1.06-1.06L19.19 3.75h-3.44a.75.75 0 010-1.5zm-10.5 4.5a1.5 1.5 0 00-1.5 1.5v10.5a1.5 1.5 0 001.5 1.5h10.5a1.5 1.5 0 001.5-1.5V10.5a.75.75 0 011.5 0v8.25a3 3 0 01-3 3H5.25a3 3 0 01-3-3V8.25a3 3 0 013-3h8.25a.75.75 0 010 1.5H5.25z"
+      clipRule="evenodd"
+    />
+  </svg>
+)
+
+// Bar chart icon for the stats button
+const StatsIcon = () => (
+  <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor">
+    <path d="M18.375 2.625a1.875 1.875 0 00-1.875 1.875v15c0 1.035.84 1.875 1.875 1.875h.75c1.035 0 1.875-.84 1.875-1.875v-15c0-1.036-.84-1.875-1.875-1.875h-.75zM9.75 8.625c0-1.036.84-1.875 1.875-1.875h.75c1.036 0 1.875.84 1.875 1.875v11.25c0 1.035-.84 1.875-1.875 1.875h-.75a1.875 1.875 0 01-1.875-1.875V8.625zM3 13.125c0-1.036.84-1.875 1.875-1.875h.75c1.036 0 1.875.84 1.875 1.875v6.75c0 1.035-.84 1.875-1.875 1.875h-.75A1.875 1.875 0 013 19.875v-6.75z" />
+  </svg>
+)
+
 // Format the timestamp into a human-readable form
 const formatTimestamp = (timestamp) => {
   const date = new Date(timestamp)
@@ -38,27 +98,93 @@ const formatTimestamp = (timestamp) => {
 }
 
 // Settings Modal component
-const SettingsModal = ({ isOpen, onClose, settings, onSave }) => {
-  const [clientId, setClientId] = useState(settings.clientId || '')
-  const [clientSecret, setClientSecret] = useState(settings.clientSecret || '')
+const SettingsModal = ({
+  isOpen,
+  onClose,
+  settings,
+  onSave,
+  rules,
+  facets,
+  onSaveRules,
+  onForgetAuthorization,
+  onRegenerateApiToken
+}) => {
+  const [profiles, setProfiles] = useState(settings.profiles)
+  const [maxNotifications, setMaxNotifications] = useState(settings.maxNotifications || 1000)
+  const [imageCacheSizeMb, setImageCacheSizeMb] = useState(settings.imageCacheSizeMb || 100)
+  const [minimizeToTray, setMinimizeToTray] = useState(settings.minimizeToTray !== false)
+  const [startMinimized, setStartMinimized] = useState(Boolean(settings.startMinimized))
+  const [removeDeletedMessages, setRemoveDeletedMessages] = useState(
+    Boolean(settings.removeDeletedMessages)
+  )
+  const [quietHours, setQuietHours] = useState(settings.quietHours || NO_QUIET_HOURS)
+  const [overlay, setOverlay] = useState(settings.overlay || DEFAULT_OVERLAY)
+  const [apiEnabled, setApiEnabled] = useState(Boolean(settings.apiEnabled))
+  const [apiPort, setApiPort] = useState(settings.apiPort || '')
+  const [editedRules, setEditedRules] = useState(rules)
   const [showValidation, setShowValidation] = useState(false)
 
   // Update state when settings prop changes
   useEffect(() => {
     if (settings) {
-      setClientId(settings.clientId || '')
-      setClientSecret(settings.clientSecret || '')
+      setProfiles(settings.profiles)
+      setMaxNotifications(settings.maxNotifications || 1000)
+      setImageCacheSizeMb(settings.imageCacheSizeMb || 100)
+      setMinimizeToTray(settings.minimizeToTray !== false)
+      setStartMinimized(Boolean(settings.startMinimized))
+      setRemoveDeletedMessages(Boolean(settings.removeDeletedMessages))
+      setQuietHours(settings.quietHours || NO_QUIET_HOURS)
+      setOverlay(settings.overlay || DEFAULT_OVERLAY)
+      setApiEnabled(Boolean(settings.apiEnabled))
+      setApiPort(settings.apiPort || '')
     }
   }, [settings])
 
+  // Ports below 1024 need admin rights on most systems
+  const parsedApiPort = parseInt(apiPort, 10)
+  const apiPortError =
+    apiEnabled && !(parsedApiPort >= 1024 && parsedApiPort <= 65535)
+      ? 'Enter a port between 1024 and 65535'
+      : null
+  const imageCacheError =
+    parseInt(imageCacheSizeMb, 10) > 0 ? null : 'Enter a number greater than 0'
+
+  // Start from the saved rules each time the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setEditedRules(rules)
+    }
+  }, [isOpen, rules])
+
   const handleSave = () => {
-    // Check if either field is empty
-    if (!clientId.trim() || !clientSecret.trim()) {
+    // Every profile needs a name and credentials
+    if (
+      !profiles.every(isProfileValid) ||
+      !(parseInt(maxNotifications, 10) > 0) ||
+      imageCacheError ||
+      !quietHours.ranges.every(isQuietRangeValid) ||
+      apiPortError ||
+      !editedRules.every(isRuleValid)
+    ) {
       setShowValidation(true)
       return
     }
 
-    onSave({ clientId, clientSecret })
+    onSave({
+      profiles,
+      maxNotifications: parseInt(maxNotifications, 10),
+      imageCacheSizeMb: parseInt(imageCacheSizeMb, 10),
+      minimizeToTray,
+      startMinimized,
+      removeDeletedMessages,
+      quietHours,
+      overlay,
+      apiEnabled,
+      apiPort: apiEnabled ? parsedApiPort : settings.apiPort
+    })
+    if (editedRules !== rules) {
+      onSaveRules(editedRules)
+    }
     setShowValidation(false)
     onClose()
   }
@@ -75,34 +201,94 @@ const SettingsModal = ({ isOpen, onClose, settings, onSave }) => {
           </button>
         </div>
         <div className="modal-body">
-          <div className={`form-group ${showValidation && !clientId.trim() ? 'has-error' : ''}`}>
-            <label htmlFor="clientId">Client ID:</label>
-            <input
-              type="text"
-              id="clientId"
-              value={clientId}
-              onChange={(e) => setClientId(e.target.value)}
-              placeholder="Enter your Discord application client ID"
+          <div className="form-group">
+            <label>Discord profiles:</label>
+            <ProfilesEditor
+              profiles={profiles}
+              showValidation={showValidation}
+              onChange={setProfiles}
+              onForgetAuthorization={onForgetAuthorization}
             />
-            {showValidation && !clientId.trim() && (
-              <div className="validation-error">Client ID is required</div>
-            )}
           </div>
           <div
-            className={`form-group ${showValidation && !clientSecret.trim() ? 'has-error' : ''}`}
+            className={`form-group ${showValidation && !(parseInt(maxNotifications, 10) > 0) ? 'has-error' : ''}`}
           >
-            <label htmlFor="clientSecret">Client Secret:</label>
+            <label htmlFor="maxNotifications">Notifications to keep:</label>
             <input
-              type="password"
-              id="clientSecret"
-              value={clientSecret}
-              onChange={(e) => setClientSecret(e.target.value)}
-              placeholder="Enter your Discord application client secret"
+              type="number"
+              id="maxNotifications"
+              min="1"
+              value={maxNotifications}
+              onChange={(e) => setMaxNotifications(e.target.value)}
             />
-            {showValidation && !clientSecret.trim() && (
-              <div className="validation-error">Client Secret is required</div>
+            {showValidation && !(parseInt(maxNotifications, 10) > 0) && (
+              <div className="validation-error">Enter a number greater than 0</div>
             )}
           </div>
+          <ImageCacheSettings
+            sizeMb={imageCacheSizeMb}
+            sizeError={showValidation ? imageCacheError : null}
+            onSizeChange={setImageCacheSizeMb}
+          />
+          <div className="form-group checkbox-group">
+            <label>
+              <input
+                type="checkbox"
+                checked={minimizeToTray}
+                onChange={(e) => setMinimizeToTray(e.target.checked)}
+              />
+              Keep running in the tray when closed or minimized
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={startMinimized}
+                onChange={(e) => setStartMinimized(e.target.checked)}
+              />
+              Start minimized and connect automatically
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={removeDeletedMessages}
+                onChange={(e) => setRemoveDeletedMessages(e.target.checked)}
+              />
+              Remove notifications for messages deleted in Discord instead of marking them
+            </label>
+          </div>
+          <div className="form-group">
+            <label>Quiet hours:</label>
+            <QuietHoursEditor
+              quietHours={quietHours}
+              showValidation={showValidation}
+              onChange={setQuietHours}
+            />
+          </div>
+          <div className="form-group">
+            <label>Overlay:</label>
+            <OverlaySettings overlay={overlay} onChange={setOverlay} />
+          </div>
+          <div className="form-group">
+            <label>Local API:</label>
+            <LocalApiSettings
+              enabled={apiEnabled}
+              port={apiPort}
+              token={settings.apiToken}
+              portError={showValidation ? apiPortError : null}
+              onEnabledChange={setApiEnabled}
+              onPortChange={setApiPort}
+              onRegenerateToken={onRegenerateApiToken}
+            />
+          </div>
+          <div className="form-group">
+            <label>Notification rules:</label>
+            <RulesEditor
+              rules={editedRules}
+              facets={facets}
+              showValidation={showValidation}
+              onChange={setEditedRules}
+            />
+          </div>
           <div className="form-help">
             <p>
               You can find your Client ID and Secret in the{' '}
@@ -139,31 +325,81 @@ SettingsModal.propTypes = {
   isOpen: PropTypes.bool.isRequired,
   onClose: PropTypes.func.isRequired,
   settings: PropTypes.shape({
-    clientId: PropTypes.string,
-    clientSecret: PropTypes.string
+    profiles: PropTypes.array.isRequired,
+    maxNotifications: PropTypes.number,
+    imageCacheSizeMb: PropTypes.number,
+    minimizeToTray: PropTypes.bool,
+    startMinimized: PropTypes.bool,
+    removeDeletedMessages: PropTypes.bool,
+    quietHours: PropTypes.object,
+    overlay: PropTypes.object,
+    apiEnabled: PropTypes.bool,
+    apiPort: PropTypes.number,
+    apiToken: PropTypes.string
   }).isRequired,
-  onSave: PropTypes.func.isRequired
+  onSave: PropTypes.func.isRequired,
+  rules: PropTypes.array.isRequired,
+  facets: PropTypes.object.isRequired,
+  onSaveRules: PropTypes.func.isRequired,
+  onForgetAuthorization: PropTypes.func.isRequired,
+  onRegenerateApiToken: PropTypes.func.isRequired
 }
 
-// A single notification item in the feed
-const NotificationItem = ({ notification }) => {
+// A single notification item in the feed. `profile` is set when there are
+// several profiles, to show which one the notification came from.
+const NotificationItem = ({ notification, profile }) => {
+  const classNames = ['notification-item']
+  if (notification.highlighted) classNames.push('highlighted')
+  if (notification.muted) classNames.push('muted')
+  if (notification.read === false) classNames.push('unread')
+  if (notification.pinned) classNames.push('pinned')
+  if (notification.deleted) classNames.push('deleted')
+
   return (
-    <div className="notification-item">
+    <div className={classNames.join(' ')}>
       <div className="notification-header">
-        <img
-          src={notification.icon || 'https://cdn.discordapp.com/embed/avatars/0.png'}
-          alt="Avatar"
-          className="avatar"
-        />
+        <img src={getAvatarUrl(notification.icon)} alt="Avatar" className="avatar" />
         <div className="notification-user">
           <span className="username">{notification.author?.name || 'Discord User'}</span>
           <span className="timestamp">{formatTimestamp(notification.timestamp)}</span>
         </div>
+        {profile && (
+          <span className="profile-badge" style={{ backgroundColor: profile.color }}>
+            {profile.name}
+          </span>
+        )}
       </div>
 
       <div className="notification-content">
+        {notification.tags?.length > 0 && (
+          <div className="notification-tags">
+            {notification.tags.map((tag) => (
+              <span
+                key={tag.label}
+                className="notification-tag"
+                style={{ backgroundColor: tag.color }}
+              >
+                {tag.label}
+              </span>
+            ))}
+          </div>
+        )}
         <div className="notification-title">{notification.title}</div>
-        <p className="notification-body">{notification.body}</p>
+        {notification.deleted ? (
+          <div className="notification-body notification-deleted">This message was deleted.</div>
+        ) : (
+          <div className="notification-body">
+            <MessageMarkup text={notification.body} mentions={notification.mentions} />
+            {notification.editedAt && (
+              <span
+                className="notification-edited"
+                title={`Edited ${formatTimestamp(notification.editedAt)}`}
+              >
+                (edited)
+              </span>
+            )}
+          </div>
+        )}
       </div>
 
       <div className="notification-meta">
@@ -175,13 +411,51 @@ const NotificationItem = ({ notification }) => {
             href="#"
             onClick={(e) => {
               e.preventDefault()
-              window.electron.ipcRenderer.send('open-external', notification.messageLink)
+              // Opens the message and marks the notification read
+              window.api.discord.openNotification(notification)
             }}
             className="message-link"
           >
             View in Discord
           </a>
         )}
+        <span className="read-actions">
+          {notification.read === false && (
+            <>
+              <button
+                onClick={() =>
+                  window.api.discord.markRead({
+                    id: notification.id,
+                    profileId: notification.profileId
+                  })
+                }
+              >
+                Mark read
+              </button>
+              <button
+                onClick={() => window.api.discord.markRead({ channelId: notification.channelId })}
+              >
+                Mark channel read
+              </button>
+            </>
+          )}
+          <button
+            onClick={() => window.api.discord.pinNotification(notification, !notification.pinned)}
+          >
+            {notification.pinned ? 'Unpin' : 'Pin'}
+          </button>
+          <button
+            onClick={() =>
+              window.api.discord.bookmarkNotification(notification, !notification.bookmarked)
+            }
+            title={notification.bookmarked ? 'Remove from saved' : 'Save and keep it forever'}
+          >
+            {notification.bookmarked ? '★ Saved' : '☆ Save'}
+          </button>
+          <SnoozeMenu
+            onSnooze={(until) => window.api.discord.snoozeNotification(notification, until)}
+          />
+        </span>
       </div>
     </div>
   )
@@ -191,6 +465,7 @@ const NotificationItem = ({ notification }) => {
 NotificationItem.propTypes = {
   notification: PropTypes.shape({
     id: PropTypes.string,
+    profileId: PropTypes.string,
     icon: PropTypes.string,
     title: PropTypes.string,
     body: PropTypes.string,
@@ -201,26 +476,94 @@ NotificationItem.propTypes = {
     ]),
     serverName: PropTypes.string,
     channelName: PropTypes.string,
+    serverId: PropTypes.string,
+    channelId: PropTypes.string,
     messageLink: PropTypes.string,
+    mentions: PropTypes.object,
     author: PropTypes.shape({
       name: PropTypes.string,
       avatar: PropTypes.string
-    })
-  }).isRequired
+    }),
+    highlighted: PropTypes.bool,
+    muted: PropTypes.bool,
+    read: PropTypes.bool,
+    pinned: PropTypes.bool,
+    bookmarked: PropTypes.bool,
+    editedAt: PropTypes.string,
+    deleted: PropTypes.bool,
+    tags: PropTypes.arrayOf(
+      PropTypes.shape({
+        label: PropTypes.string,
+        color: PropTypes.string
+      })
+    )
+  }).isRequired,
+  profile: PropTypes.shape({
+    name: PropTypes.string,
+    color: PropTypes.string
+  })
 }
 
-function App() {
-  const [isConnected, setIsConnected] = useState(false)
-  const [isConnecting, setIsConnecting] = useState(false)
-  const [error, setError] = useState(null)
+// Helpers for the virtualized notification list
+const getGroupKey = (group) => group.key
+
+// Number of notifications fetched per window
+const notificationsPerPage = 50
+
+// The whole feed, or with `popout` set the feed of a single server or channel
+// in a window of its own
+function App({ popout = null }) {
+  // Mirrors each profile's connection state machine in the main process
+  const [connections, setConnections] = useState({})
+  // Lets the connection listener tell which profiles just connected
+  const connectionsRef = useRef(connections)
+  const [settingsError, setSettingsError] = useState(null)
+  const [exportStatus, setExportStatus] = useState(null)
+  // Do Not Disturb, and the summary of what came in while it was on
+  const [dndState, setDndState] = useState({ active: false, until: null, source: null })
+  const [settings, setSettings] = useState({
+    profiles: [],
+    maxNotifications: 1000,
+    minimizeToTray: true,
+    startMinimized: false
+  })
+  const hasConnectionIn = (...states) =>
+    Object.values(connections).some((connection) => states.includes(connection.state))
+  const isConnected = hasConnectionIn('connected')
+  const isConnecting = hasConnectionIn('connecting', 'authorizing')
+  const isReconnecting = hasConnectionIn('reconnecting')
+  const errors = settingsError
+    ? [settingsError]
+    : settings.profiles
+        .filter((profile) => connections[profile.id]?.state === 'failed')
+        .map((profile) =>
+          settings.profiles.length > 1
+            ? `${profile.name}: ${connections[profile.id].error}`
+            : connections[profile.id].error
+        )
   const [displayedNotifications, setDisplayedNotifications] = useState([])
-  const [page, setPage] = useState(1)
   const [hasMore, setHasMore] = useState(false)
   const [isLoadingMore, setIsLoadingMore] = useState(false)
   const [totalNotifications, setTotalNotifications] = useState(0)
-  const notificationsPerPage = 10
+  const [totalStored, setTotalStored] = useState(0)
+  const [filters, setFilters] = useState(EMPTY_FILTERS)
+  const [facets, setFacets] = useState({ servers: [] })
+  const [rules, setRules] = useState([])
+  const [unreadCounts, setUnreadCounts] = useState({ total: 0, servers: [] })
+  // Listeners are registered once, so they read the latest filters through a ref
+  const filtersRef = useRef(filters)
+  // Used to ignore responses from queries that have been superseded
+  const queryIdRef = useRef(0)
+  // Guards against the list asking for the same window twice while scrolling
+  const loadingRef = useRef(false)
+  const displayedRef = useRef(displayedNotifications)
+  const hasMoreRef = useRef(hasMore)
+  // Pinned notifications are listed above the feed, not in it
+  const [pinnedNotifications, setPinnedNotifications] = useState([])
+  const pinnedRef = useRef(pinnedNotifications)
   const [settingsOpen, setSettingsOpen] = useState(false)
-  const [settings, setSettings] = useState({ clientId: '', clientSecret: '' })
+  const [webhooksOpen, setWebhooksOpen] = useState(false)
+  const [statsOpen, setStatsOpen] = useState(false)
   const [theme, setTheme] = useState(() => {
     // Get saved theme or default to system preference
     const savedTheme = localStorage.getItem('theme')
@@ -238,38 +581,204 @@ function App() {
     localStorage.setItem('theme', theme)
   }, [theme])
 
-  // Load notifications with pagination
-  const loadNotifications = async (currentPage = 1, append = false) => {
+  // 'flat' lists every notification, 'grouped' collapses conversations
+  const [activeTab, setActiveTab] = useState('notifications')
+  const [viewMode, setViewMode] = useState(() => localStorage.getItem('viewMode') || 'flat')
+  const [expandedGroups, setExpandedGroups] = useState(() => new Set())
+
+  useEffect(() => {
+    localStorage.setItem('viewMode', viewMode)
+  }, [viewMode])
+
+  const groups = useMemo(
+    () => (viewMode === 'grouped' ? groupNotifications(displayedNotifications) : null),
+    [viewMode, displayedNotifications]
+  )
+
+  const toggleGroup = useCallback((key) => {
+    setExpandedGroups((prev) => {
+      const next = new Set(prev)
+      if (next.has(key)) {
+        next.delete(key)
+      } else {
+        next.add(key)
+      }
+      return next
+    })
+  }, [])
+
+  const popoutFacets = useMemo(() => scopeFacets(facets, popout), [facets, popout])
+
+  useEffect(() => {
+    if (popout) document.title = popout.title
+  }, [popout])
+
+  // Profile badges are only worth showing when there's more than one profile
+  const profilesById = useMemo(
+    () =>
+      settings.profiles.length > 1
+        ? new Map(settings.profiles.map((profile) => [profile.id, profile]))
+        : null,
+    [settings.profiles]
+  )
+
+  const renderNotification = useCallback(
+    (notification) => (
+      <NotificationItem
+        notification={notification}
+        profile={profilesById?.get(notification.profileId)}
+      />
+    ),
+    [profilesById]
+  )
+
+  // Groups of one are drawn like any other notification
+  const renderGroup = useCallback(
+    (group) =>
+      group.notifications.length === 1 ? (
+        renderNotification(group.notifications[0])
+      ) : (
+        <NotificationGroup
+          notifications={group.notifications}
+          expanded={expandedGroups.has(group.key)}
+          onToggle={() => toggleGroup(group.key)}
+          renderNotification={renderNotification}
+        />
+      ),
+    [expandedGroups, toggleGroup, renderNotification]
+  )
+
+  // Load the servers and channels offered in the filter pickers
+  const loadFacets = useCallback(async () => {
     try {
-      setIsLoadingMore(true)
-      const result = await window.api.discord.getNotificationsPage({
-        page: currentPage,
-        perPage: notificationsPerPage
+      setFacets(await window.api.discord.getNotificationFacets())
+    } catch (err) {
+      console.error('Failed to load filter options:', err)
+    }
+  }, [])
+
+  // Load every pinned notification, whatever the filters are (but in a
+  // pop-out only those from its server or channel)
+  const loadPinned = useCallback(async () => {
+    try {
+      const result = await window.api.discord.queryNotifications({
+        ...popout?.query,
+        pinned: true,
+        includeMuted: true,
+        limit: 500
       })
+      setPinnedNotifications(result.notifications)
+    } catch (err) {
+      console.error('Failed to load pinned notifications:', err)
+    }
+  }, [popout])
 
-      if (append) {
-        setDisplayedNotifications((prev) => [...prev, ...result.notifications])
-      } else {
-        setDisplayedNotifications(result.notifications)
+  // Load notifications matching the current filters. Without a cursor this starts
+  // over from the newest, with `before` it appends the next older window.
+  const loadNotifications = useCallback(
+    async (before) => {
+      const queryId = ++queryIdRef.current
+      try {
+        loadingRef.current = true
+        setIsLoadingMore(true)
+        const result = await window.api.discord.queryNotifications({
+          ...toQuery(filtersRef.current),
+          ...popout?.query,
+          pinned: false,
+          before,
+          limit: notificationsPerPage
+        })
+
+        // A newer query was started while this one was running
+        if (queryId !== queryIdRef.current) return
+
+        if (before) {
+          // The same rows can come back if the list shifted since the last page
+          setDisplayedNotifications((prev) => {
+            const keys = new Set(prev.map(getNotificationKey))
+            return [
+              ...prev,
+              ...result.notifications.filter((n) => !keys.has(getNotificationKey(n)))
+            ]
+          })
+        } else {
+          setDisplayedNotifications(result.notifications)
+          loadFacets()
+          loadPinned()
+        }
+
+        setHasMore(result.hasMore)
+        setTotalNotifications(result.total)
+        setTotalStored(result.totalUnfiltered)
+      } catch (err) {
+        console.error('Failed to load notifications:', err)
+      } finally {
+        if (queryId === queryIdRef.current) {
+          loadingRef.current = false
+          setIsLoadingMore(false)
+        }
       }
+    },
+    [popout, loadFacets, loadPinned]
+  )
 
-      setHasMore(result.hasMore)
+  // Fetch notifications newer than the top of the list that match the filters
+  const loadNewer = useCallback(async () => {
+    const newest = displayedRef.current[0]
+    // Nothing to continue from, e.g. nothing matched the filters so far
+    if (!newest) {
+      loadNotifications()
+      return
+    }
+
+    try {
+      const result = await window.api.discord.queryNotifications({
+        ...toQuery(filtersRef.current),
+        ...popout?.query,
+        pinned: false,
+        after: getNotificationKey(newest),
+        limit: notificationsPerPage
+      })
+      if (!result.notifications.length) return
+
+      setDisplayedNotifications((prev) => {
+        const keys = new Set(prev.map(getNotificationKey))
+        return [...result.notifications.filter((n) => !keys.has(getNotificationKey(n))), ...prev]
+      })
       setTotalNotifications(result.total)
-      setIsLoadingMore(false)
     } catch (err) {
-      console.error('Failed to load notifications:', err)
-      setIsLoadingMore(false)
+      console.error('Failed to load new notifications:', err)
     }
-  }
+  }, [popout, loadNotifications])
 
-  // Handle loading more notifications
-  const handleLoadMore = () => {
-    if (isLoadingMore) return
+  useEffect(() => {
+    displayedRef.current = displayedNotifications
+  }, [displayedNotifications])
 
-    const nextPage = page + 1
-    setPage(nextPage)
-    loadNotifications(nextPage, true)
-  }
+  useEffect(() => {
+    hasMoreRef.current = hasMore
+  }, [hasMore])
+
+  useEffect(() => {
+    pinnedRef.current = pinnedNotifications
+  }, [pinnedNotifications])
+
+  // Re-run the query whenever the filters change, waiting for typing to settle
+  useEffect(() => {
+    filtersRef.current = filters
+    const timer = setTimeout(() => {
+      loadNotifications()
+    }, 250)
+    return () => clearTimeout(timer)
+  }, [filters, loadNotifications])
+
+  // Load the next older window once the list is scrolled near the end
+  const handleEndReached = useCallback(() => {
+    if (loadingRef.current || !hasMore) return
+
+    const oldest = displayedRef.current[displayedRef.current.length - 1]
+    if (oldest) loadNotifications(getNotificationKey(oldest))
+  }, [hasMore, loadNotifications])
 
   // Toggle between light and dark theme
   const toggleTheme = () => {
@@ -293,36 +802,136 @@ function App() {
     }
 
     fetchSettings()
+
+    window.api.discord
+      .getRules()
+      .then(setRules)
+      .catch((err) => console.error('Failed to fetch rules:', err))
+
+    window.api.discord
+      .getUnreadCounts()
+      .then(setUnreadCounts)
+      .catch((err) => console.error('Failed to fetch unread counts:', err))
   }, [])
 
-  // Initialize notifications when component mounts
-  useEffect(() => {
-    if (isConnected) {
-      loadNotifications(1, false)
+  // Save the notifications matching the current filters through a save dialog
+  const handleExport = async (format) => {
+    try {
+      const result = await window.api.discord.exportNotifications({
+        format,
+        query: { ...toQuery(filters), ...popout?.query }
+      })
+      if (result.canceled) return
+      setExportStatus(
+        result.success
+          ? {
+              type: 'success',
+              message: `Exported ${result.count} notifications to ${result.filePath}`
+            }
+          : { type: 'error', message: `Export failed: ${result.error}` }
+      )
+    } catch (err) {
+      console.error('Error exporting notifications:', err)
+      setExportStatus({ type: 'error', message: `Export failed: ${err.message}` })
+    }
+  }
+
+  // Mark notifications read, the main process reports back through onReadChange
+  const handleMarkRead = async (target) => {
+    try {
+      await window.api.discord.markRead(target)
+    } catch (err) {
+      console.error('Failed to mark notifications read:', err)
+    }
+  }
+
+  // Narrow the feed down to one server from the unread summary
+  const handleSelectServer = (serverId) => {
+    setFilters((prev) => ({ ...prev, serverIds: [serverId] }))
+  }
+
+  const handlePopout = () => {
+    const target = getPopoutTarget(filters)
+    if (target) window.api.discord.openPopout(target)
+  }
+
+  const handleDismissAwaySummary = () => {
+    window.api.discord.dismissDndSummary()
+    setDndState((prev) => ({ ...prev, summary: null }))
+  }
+
+  // Drop a profile's cached tokens, Discord will ask to authorize again on its next connect
+  const handleForgetAuthorization = async (profileId) => {
+    try {
+      await window.api.discord.forgetAuthorization(profileId)
+      setSettings((prev) => ({
+        ...prev,
+        profiles: prev.profiles.map((profile) =>
+          profile.id === profileId ? { ...profile, hasAuthorization: false } : profile
+        )
+      }))
+    } catch (err) {
+      console.error('Failed to forget authorization:', err)
     }
-  }, [isConnected])
+  }
+
+  const handleRegenerateApiToken = async () => {
+    try {
+      const { apiToken } = await window.api.discord.regenerateApiToken()
+      setSettings((prev) => ({ ...prev, apiToken }))
+    } catch (err) {
+      console.error('Failed to regenerate API token:', err)
+    }
+  }
+
+  // Handle saving notification rules
+  const handleSaveRules = async (newRules) => {
+    try {
+      const result = await window.api.discord.updateRules(newRules)
+      setRules(result.rules)
+      console.log('Rules saved successfully')
+    } catch (err) {
+      console.error('Failed to save rules:', err)
+    }
+  }
 
   // Handle saving settings
   const handleSaveSettings = async (newSettings) => {
     try {
       // Trim whitespace from inputs
       const trimmedSettings = {
-        clientId: newSettings.clientId.trim(),
-        clientSecret: newSettings.clientSecret.trim()
+        profiles: newSettings.profiles.map((profile) => ({
+          ...profile,
+          name: profile.name.trim(),
+          clientId: profile.clientId.trim(),
+          clientSecret: profile.clientSecret.trim()
+        })),
+        maxNotifications: newSettings.maxNotifications,
+        imageCacheSizeMb: newSettings.imageCacheSizeMb,
+        minimizeToTray: newSettings.minimizeToTray,
+        startMinimized: newSettings.startMinimized,
+        removeDeletedMessages: newSettings.removeDeletedMessages,
+        quietHours: newSettings.quietHours,
+        overlay: newSettings.overlay,
+        apiEnabled: newSettings.apiEnabled,
+        apiPort: newSettings.apiPort
       }
 
+      // Profiles whose credentials changed are disconnected by the main process
       await window.api.discord.updateSettings(trimmedSettings)
-      setSettings(trimmedSettings)
+      // Read them back, the main process may have dropped cached tokens or made an API token
+      const savedSettings = await window.api.discord.getSettings()
+      setSettings(savedSettings)
       console.log('Settings saved successfully')
 
-      // If the client ID or secret has changed and we're connected, disconnect
+      // The retention limit may have pruned stored history, and removing a
+      // profile deletes its history
+      const savedIds = new Set(savedSettings.profiles.map((profile) => profile.id))
       if (
-        (trimmedSettings.clientId !== settings.clientId ||
-          trimmedSettings.clientSecret !== settings.clientSecret) &&
-        isConnected
+        trimmedSettings.maxNotifications !== settings.maxNotifications ||
+        settings.profiles.some((profile) => !savedIds.has(profile.id))
       ) {
-        console.log('Client credentials changed, disconnecting...')
-        handleDisconnect()
+        loadNotifications()
       }
     } catch (err) {
       console.error('Failed to save settings:', err)
@@ -331,76 +940,180 @@ function App() {
 
   useEffect(() => {
     // Check initial connection status
-    window.api.discord.isConnected().then((connected) => {
-      setIsConnected(connected)
-      if (connected) {
-        loadNotifications(1, false)
-      }
+    window.api.discord.getConnections().then((initialConnections) => {
+      connectionsRef.current = initialConnections
+      setConnections(initialConnections)
     })
 
     // Set up listeners for new notifications and connection changes
     const removeNotificationListener = window.api.discord.onNotification((notification) => {
-      // Add the new notification to the top of the displayed list
-      setDisplayedNotifications((prev) => [notification, ...prev])
-      // Increment total count
-      setTotalNotifications((prev) => prev + 1)
+      setTotalStored((prev) => prev + 1)
+
+      // Ask the main process whether it matches the current filters
+      if (popout || hasActiveFilters(filtersRef.current)) {
+        loadNewer()
+        return
+      }
+
+      // Add the new notification to the displayed list by its timestamp
+      const key = getNotificationKey(notification)
+      const isListed = displayedRef.current.some((n) => getNotificationKey(n) === key)
+      setDisplayedNotifications((prev) =>
+        insertNotification(prev, notification, hasMoreRef.current)
+      )
+      if (!isListed) setTotalNotifications((prev) => prev + 1)
     })
 
-    const removeConnectionListener = window.api.discord.onConnectionChange((connected) => {
-      setIsConnected(connected)
-      setIsConnecting(false)
+    const removeReadListener = window.api.discord.onReadChange(({ ids, counts }) => {
+      setUnreadCounts(counts)
+      if (!ids.length) return
 
-      if (connected) {
-        // When connected, load the first page
-        setPage(1)
-        loadNotifications(1, false)
+      const readIds = new Set(ids)
+      setDisplayedNotifications((prev) =>
+        prev.map((notification) =>
+          readIds.has(notification.id) ? { ...notification, read: true } : notification
+        )
+      )
+    })
+
+    // Server and channel names filled in after the channel directory loaded, a
+    // notification was pinned, saved or snoozed, or its message edited or deleted
+    const removeUpdateListener = window.api.discord.onNotificationsUpdated((notifications) => {
+      const updates = new Map(
+        notifications.map((notification) => [getNotificationKey(notification), notification])
+      )
+      const { includeMuted, bookmarked } = filtersRef.current
+      setDisplayedNotifications((prev) =>
+        prev
+          .map((notification) => updates.get(getNotificationKey(notification)) || notification)
+          .filter(
+            (notification) =>
+              (includeMuted || !notification.muted) &&
+              (!bookmarked || notification.bookmarked) &&
+              !notification.pinned &&
+              !notification.snoozedUntil
+          )
+      )
+
+      const pinnedKeys = new Set(pinnedRef.current.map(getNotificationKey))
+      setPinnedNotifications((prev) => [
+        ...notifications.filter(
+          (notification) =>
+            notification.pinned &&
+            !notification.snoozedUntil &&
+            !pinnedKeys.has(getNotificationKey(notification)) &&
+            matchesScope(notification, popout)
+        ),
+        ...prev
+          .map((notification) => updates.get(getNotificationKey(notification)) || notification)
+          .filter((notification) => notification.pinned && !notification.snoozedUntil)
+      ])
+      // Unpinned notifications go back to their place in the feed
+      if (
+        notifications.some(
+          (notification) => !notification.pinned && pinnedKeys.has(getNotificationKey(notification))
+        )
+      ) {
+        loadNotifications()
+      }
+      loadFacets()
+    })
+
+    // Messages deleted in Discord, when those are removed instead of marked
+    const removeRemovedListener = window.api.discord.onNotificationsRemoved((removedList) => {
+      const removed = new Set(removedList.map(getNotificationKey))
+      const isKept = (notification) => !removed.has(getNotificationKey(notification))
+      const shown = displayedRef.current.filter((notification) => !isKept(notification))
+      setDisplayedNotifications((prev) => prev.filter(isKept))
+      setPinnedNotifications((prev) => prev.filter(isKept))
+      setTotalNotifications((prev) => Math.max(0, prev - shown.length))
+      setTotalStored((prev) => Math.max(0, prev - removedList.length))
+      loadFacets()
+    })
+
+    // A snooze ran out, show it at the top until the next reload puts it back in order
+    const removeResurfacedListener = window.api.discord.onNotificationResurfaced((notification) => {
+      if (notification.pinned) {
+        loadPinned()
+      } else if (popout || hasActiveFilters(filtersRef.current)) {
+        loadNotifications()
       } else {
-        // When disconnected, clear notifications
-        setDisplayedNotifications([])
-        setTotalNotifications(0)
+        setDisplayedNotifications((prev) => [
+          notification,
+          ...prev.filter((n) => getNotificationKey(n) !== getNotificationKey(notification))
+        ])
+        setTotalNotifications((prev) => prev + 1)
+      }
+    })
+
+    window.api.discord.getDndState().then(setDndState)
+    const removeDndListener = window.api.discord.onDndChange(setDndState)
+
+    const removeConnectionListener = window.api.discord.onConnectionChange((newConnections) => {
+      const previous = connectionsRef.current
+      connectionsRef.current = newConnections
+      setConnections(newConnections)
+
+      // When a profile connects, reload from the newest
+      const justConnected = Object.entries(newConnections).some(
+        ([profileId, connection]) =>
+          connection.state === 'connected' && previous[profileId]?.state !== 'connected'
+      )
+      if (justConnected) {
+        loadNotifications()
       }
     })
 
     return () => {
       removeNotificationListener()
+      removeReadListener()
+      removeUpdateListener()
+      removeRemovedListener()
+      removeResurfacedListener()
+      removeDndListener()
       removeConnectionListener()
     }
-  }, [])
+  }, [popout, loadNotifications, loadNewer, loadFacets, loadPinned])
 
-  const handleConnect = async () => {
-    if (isConnecting || isConnected) return
+  const handleConnect = async (profileId) => {
+    const profile = settings.profiles.find((p) => p.id === profileId)
 
     // Check if clientId and clientSecret are set and not just whitespace
-    if (!settings.clientId?.trim() || !settings.clientSecret?.trim()) {
-      setError('Please enter your Discord client ID and secret in settings.')
+    if (!settings.isReplay && (!profile?.clientId?.trim() || !profile?.clientSecret?.trim())) {
+      setSettingsError(
+        settings.profiles.length > 1
+          ? `Please enter the client ID and secret for ${profile?.name} in settings.`
+          : 'Please enter your Discord client ID and secret in settings.'
+      )
       return
     }
 
-    setIsConnecting(true)
-    setError(null)
+    setSettingsError(null)
 
+    // Progress and failures arrive through onConnectionChange
     try {
       console.log('Attempting to connect to Discord...')
-      const result = await window.api.discord.connect()
-      if (!result.success) {
-        throw new Error(result.error || 'Failed to connect to Discord')
+      const result = await window.api.discord.connect(profileId)
+      if (result.success) {
+        console.log('Successfully connected to Discord')
       }
-      console.log('Successfully connected to Discord')
     } catch (err) {
       console.error('Failed to connect to Discord', err)
-      setError(err.message || 'Failed to connect to Discord')
-      setIsConnecting(false)
     }
   }
 
-  const handleDisconnect = async () => {
+  const handleCancelReconnect = async (profileId) => {
+    try {
+      await window.api.discord.cancelReconnect(profileId)
+    } catch (err) {
+      console.error('Failed to cancel reconnect', err)
+    }
+  }
+
+  const handleDisconnect = async (profileId) => {
     try {
-      await window.api.discord.disconnect()
-      // Clear notifications when disconnecting
-      setDisplayedNotifications([])
-      setTotalNotifications(0)
-      setPage(1)
-      setHasMore(false)
+      // Stored notifications stay in the feed after disconnecting
+      await window.api.discord.disconnect(profileId)
     } catch (err) {
       console.error('Error disconnecting from Discord', err)
     }
@@ -409,7 +1122,14 @@ function App() {
   return (
     <div className="container">
       <div className="header">
-        <h1>Discord Notifications</h1>
+        <h1>
+          {popout ? popout.title : 'Discord Notifications'}
+          {settings.isReplay && (
+            <span className="replay-badge" title="Playing back a recorded session">
+              Replay
+            </span>
+          )}
+        </h1>
 
         <div style={{ display: 'flex', alignItems: 'center' }}>
           <button
@@ -420,96 +1140,212 @@ function App() {
             {theme === 'light' ? <MoonIcon /> : <SunIcon />}
           </button>
 
-          <button
-            onClick={() => setSettingsOpen(true)}
-            className="settings-button"
-            title="Settings"
-          >
-            <SettingsIcon />
-          </button>
+          {/* The rest is managed from the main window */}
+          {!popout && (
+            <>
+              <DndControl state={dndState} onChange={setDndState} />
 
-          {isConnected ? (
-            <button onClick={handleDisconnect} className="disconnect-btn">
-              Disconnect
-            </button>
-          ) : (
-            <button
-              onClick={handleConnect}
-              disabled={isConnecting}
-              className={isConnecting ? 'connect-btn connecting' : 'connect-btn'}
-            >
-              {isConnecting ? 'Connecting...' : 'Connect to Discord'}
-            </button>
+              <button
+                onClick={() => setStatsOpen(true)}
+                className="settings-button"
+                title="Activity"
+              >
+                <StatsIcon />
+              </button>
+
+              <button
+                onClick={() => setWebhooksOpen(true)}
+                className="settings-button"
+                title="Webhooks"
+              >
+                <WebhookIcon />
+              </button>
+
+              <button
+                onClick={() => setSettingsOpen(true)}
+                className="settings-button"
+                title="Settings"
+              >
+                <SettingsIcon />
+              </button>
+
+              <ProfileConnections
+                // Replays only play into the first profile
+                profiles={settings.isReplay ? settings.profiles.slice(0, 1) : settings.profiles}
+                connections={connections}
+                onConnect={handleConnect}
+                onDisconnect={handleDisconnect}
+                onCancelReconnect={handleCancelReconnect}
+              />
+            </>
           )}
         </div>
       </div>
 
+      <StatsModal isOpen={statsOpen} onClose={() => setStatsOpen(false)} />
+
+      <WebhooksModal isOpen={webhooksOpen} onClose={() => setWebhooksOpen(false)} facets={facets} />
+
       {/* Settings Modal */}
       <SettingsModal
         isOpen={settingsOpen}
         onClose={() => setSettingsOpen(false)}
         settings={settings}
         onSave={handleSaveSettings}
+        rules={rules}
+        facets={facets}
+        onSaveRules={handleSaveRules}
+        onForgetAuthorization={handleForgetAuthorization}
+        onRegenerateApiToken={handleRegenerateApiToken}
       />
 
-      {error && (
+      {errors.length > 0 && (
         <div className="error-message">
           <p className="error-title">Error</p>
-          <p>{error}</p>
+          {errors.map((message) => (
+            <p key={message}>{message}</p>
+          ))}
           <p className="error-info">
             Make sure Discord desktop app is running and you&apos;re logged in.
           </p>
         </div>
       )}
 
-      {isConnected && totalNotifications === 0 && !isLoadingMore && (
-        <div className="empty-state">
-          <p>No notifications yet.</p>
-          <p className="empty-info">
-            Notifications will appear here as you receive them in Discord.
-          </p>
+      {!popout && (
+        <div className="tabs">
+          <button
+            className={activeTab === 'notifications' ? 'tab active' : 'tab'}
+            onClick={() => setActiveTab('notifications')}
+          >
+            Notifications
+          </button>
+          <button
+            className={activeTab === 'voice' ? 'tab active' : 'tab'}
+            onClick={() => setActiveTab('voice')}
+          >
+            Voice
+          </button>
         </div>
       )}
 
-      {!isConnected && !isConnecting && !error && (
-        <div className="empty-state">
-          <p>Connect to Discord to view your notifications</p>
-          <p className="empty-info">Requires Discord desktop app to be running</p>
-        </div>
-      )}
+      {activeTab === 'voice' && <VoiceActivity profiles={settings.profiles} />}
 
-      {isConnecting && (
-        <div className="empty-state">
-          <p>Connecting to Discord...</p>
-          <p className="empty-info">You may need to authorize this application in Discord</p>
-        </div>
-      )}
+      {activeTab === 'notifications' && (
+        <>
+          {!popout && (
+            <>
+              <AwaySummary
+                summary={dndState.summary}
+                onSelectServer={handleSelectServer}
+                onDismiss={handleDismissAwaySummary}
+              />
 
-      {isConnected && (displayedNotifications.length > 0 || isLoadingMore) && (
-        <div className="notification-list-container">
-          <div className="notification-list">
-            {displayedNotifications.map((notification) => (
-              <NotificationItem key={notification.id} notification={notification} />
-            ))}
+              <UnreadSummary
+                counts={unreadCounts}
+                onSelectServer={handleSelectServer}
+                onMarkRead={handleMarkRead}
+              />
+            </>
+          )}
 
-            {isLoadingMore && (
-              <div className="loading-indicator">
-                <p>Loading more notifications...</p>
-              </div>
-            )}
+          {totalStored > 0 && (
+            <FeedFilters
+              filters={filters}
+              facets={popoutFacets}
+              onChange={setFilters}
+              // Pop-outs can't be popped out again
+              onPopout={popout ? null : handlePopout}
+              onExport={handleExport}
+              viewMode={viewMode}
+              onViewModeChange={setViewMode}
+            />
+          )}
+
+          {exportStatus && (
+            <div className={`export-status ${exportStatus.type}`}>
+              <span>{exportStatus.message}</span>
+              <button onClick={() => setExportStatus(null)} title="Dismiss">
+                ×
+              </button>
+            </div>
+          )}
 
-            {hasMore && !isLoadingMore && (
-              <div className="load-more-container">
-                <button onClick={handleLoadMore} className="load-more-button">
-                  Load More
-                </button>
+          {totalStored > 0 && totalNotifications === 0 && !isLoadingMore && (
+            <div className="empty-state">
+              <p>No notifications match your filters.</p>
+              <p className="empty-info">Try a different search or remove some filters.</p>
+            </div>
+          )}
+
+          {isConnected && totalStored === 0 && !isLoadingMore && (
+            <div className="empty-state">
+              <p>No notifications yet.</p>
+              <p className="empty-info">
+                Notifications will appear here as you receive them in Discord.
+              </p>
+            </div>
+          )}
+
+          {!isConnected &&
+            !isConnecting &&
+            !isReconnecting &&
+            errors.length === 0 &&
+            totalStored === 0 && (
+              <div className="empty-state">
+                <p>Connect to Discord to view your notifications</p>
+                <p className="empty-info">Requires Discord desktop app to be running</p>
               </div>
             )}
-          </div>
-        </div>
+
+          {isConnecting && (
+            <div className="empty-state">
+              <p>
+                {hasConnectionIn('authorizing')
+                  ? 'Waiting for authorization...'
+                  : 'Connecting to Discord...'}
+              </p>
+              <p className="empty-info">You may need to authorize this application in Discord</p>
+            </div>
+          )}
+
+          {pinnedNotifications.length > 0 && (
+            <div className="pinned-notifications">
+              <div className="pinned-header">Pinned</div>
+              {pinnedNotifications.map((notification) => (
+                <div key={getNotificationKey(notification)}>{renderNotification(notification)}</div>
+              ))}
+            </div>
+          )}
+
+          {(displayedNotifications.length > 0 || isLoadingMore) && (
+            <div className="notification-list-container">
+              <VirtualList
+                className="notification-list"
+                items={groups || displayedNotifications}
+                getKey={groups ? getGroupKey : getNotificationKey}
+                renderItem={groups ? renderGroup : renderNotification}
+                onEndReached={handleEndReached}
+                footer={
+                  isLoadingMore && (
+                    <div className="loading-indicator">
+                      <p>Loading more notifications...</p>
+                    </div>
+                  )
+                }
+              />
+            </div>
+          )}
+        </>
       )}
     </div>
   )
 }
 
+App.propTypes = {
+  popout: PropTypes.shape({
+    title: PropTypes.string.isRequired,
+    query: PropTypes.object.isRequired
+  })
+}
+
 export default App
@@ -0,0 +1,120 @@
+import { useState, useEffect } from 'react'
+import PropTypes from 'prop-types'
+import MessageMarkup from './components/MessageMarkup'
+import { getAvatarUrl } from './utils/images'
+import { insertNotification, getNotificationKey } from './utils/feedQuery'
+import './Overlay.css'
+
+const notificationShape = PropTypes.shape({
+  id: PropTypes.string.isRequired,
+  icon: PropTypes.string,
+  body: PropTypes.string,
+  serverName: PropTypes.string,
+  channelName: PropTypes.string,
+  mentions: PropTypes.object,
+  author: PropTypes.shape({ name: PropTypes.string })
+})
+
+// One compact card per notification, newest on top
+const Toasts = ({ notifications }) => (
+  <ul className="overlay-toasts">
+    {notifications.map((notification) => (
+      <li
+        key={getNotificationKey(notification)}
+        className="overlay-toast"
+        onClick={() => window.api.discord.openNotification(notification)}
+      >
+        <img src={getAvatarUrl(notification.icon)} alt="" className="overlay-avatar" />
+        <div className="overlay-toast-content">
+          <div className="overlay-toast-header">
+            <span className="overlay-author">{notification.author?.name || 'Discord User'}</span>
+            <span className="overlay-location">
+              {notification.serverName} • #{notification.channelName}
+            </span>
+          </div>
+          <div className="overlay-body">
+            <MessageMarkup text={notification.body} mentions={notification.mentions} />
+          </div>
+        </div>
+      </li>
+    ))}
+  </ul>
+)
+
+Toasts.propTypes = {
+  notifications: PropTypes.arrayOf(notificationShape).isRequired
+}
+
+// A single scrolling line, for keeping it as small as possible
+const Ticker = ({ notifications }) => (
+  <div className="overlay-ticker">
+    {/* Restarts the scroll whenever something new comes in */}
+    <div
+      key={notifications[0] && getNotificationKey(notifications[0])}
+      className="overlay-ticker-track"
+    >
+      {notifications.map((notification) => (
+        <span key={getNotificationKey(notification)} className="overlay-ticker-item">
+          <span className="overlay-author">{notification.author?.name || 'Discord User'}</span>{' '}
+          {(notification.body || '').replace(/\s+/g, ' ')}
+        </span>
+      ))}
+    </div>
+  </div>
+)
+
+Ticker.propTypes = {
+  notifications: PropTypes.arrayOf(notificationShape).isRequired
+}
+
+// The always-on-top overlay window, see overlayWindow.js in the main process
+const Overlay = () => {
+  const [config, setConfig] = useState(null)
+  const [notifications, setNotifications] = useState([])
+
+  useEffect(() => {
+    window.api.discord.getOverlayConfig().then(setConfig)
+    return window.api.discord.onOverlayConfig(setConfig)
+  }, [])
+
+  // Start from the newest stored notifications, then add new ones as they come in
+  const count = config?.count
+  useEffect(() => {
+    if (!count) return
+
+    window.api.discord
+      .queryNotifications({ limit: count })
+      .then((result) => setNotifications(result.notifications))
+
+    return window.api.discord.onNotification((notification) => {
+      setNotifications((prev) => insertNotification(prev, notification).slice(0, count))
+    })
+  }, [count])
+
+  if (!config) return null
+
+  const List = config.style === 'ticker' ? Ticker : Toasts
+
+  return (
+    <div className={`overlay overlay-${config.style}`} style={{ opacity: config.opacity }}>
+      <div className="overlay-bar">
+        <span>Discord Feed</span>
+        <button
+          className="overlay-close"
+          onClick={() => window.api.discord.updateOverlay({ enabled: false })}
+          title="Hide the overlay"
+        >
+          ×
+        </button>
+      </div>
+
+      {notifications.length === 0 ? (
+        <p className="overlay-empty">No notifications yet.</p>
+      ) : (
+        <List notifications={notifications} />
+      )}
+    </div>
+  )
+}
+
+export default Overlay
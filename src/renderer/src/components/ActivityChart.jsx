@@ -0,0 +1,45 @@
+import PropTypes from 'prop-types'
+import { formatBucket } from '../utils/stats'
+
+// Bar chart of notifications per bucket, drawn as SVG so it scales with the modal
+const ActivityChart = ({ buckets, bucket }) => {
+  if (buckets.every((b) => b.count === 0)) {
+    return <p className="form-help">No notifications in this range.</p>
+  }
+
+  const max = Math.max(1, ...buckets.map((b) => b.count))
+  const first = buckets[0]
+  const last = buckets[buckets.length - 1]
+
+  return (
+    <div className="activity-chart">
+      <div className="activity-chart-max">{max}</div>
+      <svg viewBox={`0 0 ${buckets.length} 100`} preserveAspectRatio="none">
+        {buckets.map((b, index) => {
+          const height = (b.count / max) * 100
+          return (
+            <rect key={b.start} x={index + 0.1} y={100 - height} width={0.8} height={height}>
+              <title>{`${formatBucket(b.start, bucket)}: ${b.count}`}</title>
+            </rect>
+          )
+        })}
+      </svg>
+      <div className="activity-chart-axis">
+        <span>{formatBucket(first.start, bucket)}</span>
+        <span>{formatBucket(last.start, bucket)}</span>
+      </div>
+    </div>
+  )
+}
+
+ActivityChart.propTypes = {
+  buckets: PropTypes.arrayOf(
+    PropTypes.shape({
+      start: PropTypes.number.isRequired,
+      count: PropTypes.number.isRequired
+    })
+  ).isRequired,
+  bucket: PropTypes.oneOf(['hour', 'day']).isRequired
+}
+
+export default ActivityChart
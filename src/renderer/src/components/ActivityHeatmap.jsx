@@ -0,0 +1,39 @@
+import PropTypes from 'prop-types'
+import { DAY_NAMES } from '../utils/stats'
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour)
+
+// Day of week by hour grid, darker cells had more notifications
+const ActivityHeatmap = ({ heatmap }) => {
+  const max = Math.max(1, ...heatmap.flat())
+
+  return (
+    <div className="activity-heatmap">
+      <span />
+      {HOURS.map((hour) => (
+        <span key={hour} className="heatmap-hour">
+          {hour % 6 === 0 ? hour : ''}
+        </span>
+      ))}
+      {heatmap.map((hours, day) => [
+        <span key={`label-${day}`} className="heatmap-day">
+          {DAY_NAMES[day]}
+        </span>,
+        ...hours.map((count, hour) => (
+          <span
+            key={`${day}-${hour}`}
+            className="heatmap-cell"
+            style={{ opacity: count ? 0.15 + (count / max) * 0.85 : 0.05 }}
+            title={`${DAY_NAMES[day]} ${hour}:00–${hour + 1}:00: ${count}`}
+          />
+        ))
+      ])}
+    </div>
+  )
+}
+
+ActivityHeatmap.propTypes = {
+  heatmap: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number)).isRequired
+}
+
+export default ActivityHeatmap
@@ -0,0 +1,86 @@
+import PropTypes from 'prop-types'
+import { formatDuration } from '../utils/stats'
+import { getNotificationKey } from '../utils/feedQuery'
+
+// "While you were away" card shown after Do Not Disturb ends
+const AwaySummary = ({ summary, onSelectServer, onDismiss }) => {
+  if (!summary) return null
+
+  return (
+    <div className="away-summary">
+      <div className="away-summary-header">
+        <span className="away-summary-title">While you were away</span>
+        <span className="away-summary-period">
+          {summary.total} notification{summary.total === 1 ? '' : 's'} in{' '}
+          {formatDuration(summary.until - summary.since)}
+          {summary.unread > 0 && `, ${summary.unread} still unread`}
+        </span>
+        <button className="close-button" onClick={onDismiss} title="Dismiss">
+          ×
+        </button>
+      </div>
+
+      <div className="away-summary-servers">
+        {summary.topServers.map((server) => (
+          <button
+            key={server.id || server.name}
+            className="unread-server-name"
+            onClick={() => onSelectServer(server.id)}
+            // DMs and unresolved notifications are counted by name, with no server to filter on
+            disabled={!/^\d+$/.test(server.id)}
+          >
+            {server.name}
+            <span className="unread-badge">{server.count}</span>
+          </button>
+        ))}
+      </div>
+
+      {summary.topChannels.length > 0 && (
+        <div className="away-summary-channels">
+          Busiest:{' '}
+          {summary.topChannels
+            .map((channel) => `#${channel.name || 'unknown'} (${channel.count})`)
+            .join(', ')}
+        </div>
+      )}
+
+      {summary.highlights.length > 0 && (
+        <ul className="away-summary-highlights">
+          {summary.highlights.map((notification) => (
+            <li key={getNotificationKey(notification)}>
+              <strong>{notification.author?.name || 'Discord User'}</strong>{' '}
+              {notification.title || notification.body}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+AwaySummary.propTypes = {
+  summary: PropTypes.shape({
+    since: PropTypes.number.isRequired,
+    until: PropTypes.number.isRequired,
+    total: PropTypes.number.isRequired,
+    unread: PropTypes.number,
+    topServers: PropTypes.arrayOf(
+      PropTypes.shape({ id: PropTypes.string, name: PropTypes.string, count: PropTypes.number })
+    ).isRequired,
+    topChannels: PropTypes.arrayOf(
+      PropTypes.shape({ id: PropTypes.string, name: PropTypes.string, count: PropTypes.number })
+    ).isRequired,
+    highlights: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.string,
+        title: PropTypes.string,
+        body: PropTypes.string,
+        author: PropTypes.shape({ name: PropTypes.string })
+      })
+    ).isRequired
+  }),
+  onSelectServer: PropTypes.func.isRequired,
+  onDismiss: PropTypes.func.isRequired
+}
+
+export default AwaySummary
@@ -0,0 +1,46 @@
+import PropTypes from 'prop-types'
+import { DND_PRESETS, formatUntil } from '../utils/quietHours'
+
+// Do Not Disturb menu in the header, showing until when it's on
+const DndControl = ({ state, onChange }) => {
+  const handleSelect = async (key) => {
+    const preset = DND_PRESETS.find((p) => p.key === key)
+    if (key !== 'off' && !preset) return
+
+    const result = await window.api.discord.setDnd(preset ? preset.getTime() : null)
+    if (result.success) onChange(result.state)
+  }
+
+  let label = 'Do not disturb…'
+  if (state.active) {
+    label = state.until ? `Quiet until ${formatUntil(state.until)}` : 'Do not disturb on'
+  }
+
+  return (
+    <select
+      className={state.active ? 'dnd-select active' : 'dnd-select'}
+      value=""
+      onChange={(e) => handleSelect(e.target.value)}
+      title={state.source === 'schedule' ? 'Quiet hours are on' : 'Pause alerts for a while'}
+    >
+      <option value="">{label}</option>
+      {DND_PRESETS.map((preset) => (
+        <option key={preset.key} value={preset.key}>
+          {preset.label}
+        </option>
+      ))}
+      {state.active && <option value="off">Turn off</option>}
+    </select>
+  )
+}
+
+DndControl.propTypes = {
+  state: PropTypes.shape({
+    active: PropTypes.bool,
+    until: PropTypes.number,
+    source: PropTypes.oneOf(['manual', 'schedule', null])
+  }).isRequired,
+  onChange: PropTypes.func.isRequired
+}
+
+export default DndControl
@@ -0,0 +1,224 @@
+import PropTypes from 'prop-types'
+import { EMPTY_FILTERS, getPopoutTarget } from '../utils/feedQuery'
+
+// Search bar and filter chips shown above the notification list
+const FeedFilters = ({
+  filters,
+  facets,
+  onChange,
+  onPopout,
+  onExport,
+  viewMode,
+  onViewModeChange
+}) => {
+  const update = (changes) => onChange({ ...filters, ...changes })
+
+  const serverName = (id) => facets.servers.find((server) => server.id === id)?.name || id
+  const channelName = (id) => {
+    for (const server of facets.servers) {
+      const channel = server.channels.find((c) => c.id === id)
+      if (channel) return channel.name
+    }
+    return id
+  }
+
+  // Only offer channels from the selected servers, or all of them if none are selected
+  const channelOptions = facets.servers
+    .filter((server) => !filters.serverIds.length || filters.serverIds.includes(server.id))
+    .flatMap((server) => server.channels.map((channel) => ({ ...channel, server: server.name })))
+    .filter((channel) => !filters.channelIds.includes(channel.id))
+
+  const chips = [
+    ...filters.serverIds.map((id) => ({
+      key: `server-${id}`,
+      label: serverName(id),
+      remove: () => update({ serverIds: filters.serverIds.filter((s) => s !== id) })
+    })),
+    ...filters.channelIds.map((id) => ({
+      key: `channel-${id}`,
+      label: `#${channelName(id)}`,
+      remove: () => update({ channelIds: filters.channelIds.filter((c) => c !== id) })
+    })),
+    ...(filters.author.trim()
+      ? [{ key: 'author', label: `From: ${filters.author}`, remove: () => update({ author: '' }) }]
+      : []),
+    ...(filters.from
+      ? [{ key: 'from', label: `After: ${filters.from}`, remove: () => update({ from: '' }) }]
+      : []),
+    ...(filters.to
+      ? [{ key: 'to', label: `Before: ${filters.to}`, remove: () => update({ to: '' }) }]
+      : []),
+    ...(filters.bookmarked
+      ? [{ key: 'bookmarked', label: 'Saved', remove: () => update({ bookmarked: false }) }]
+      : [])
+  ]
+
+  return (
+    <div className="feed-filters">
+      <input
+        type="search"
+        className="search-input"
+        placeholder="Search notifications..."
+        value={filters.text}
+        onChange={(e) => update({ text: e.target.value })}
+      />
+
+      <div className="filter-controls">
+        <select
+          value=""
+          onChange={(e) =>
+            e.target.value && update({ serverIds: [...filters.serverIds, e.target.value] })
+          }
+        >
+          <option value="">Server…</option>
+          {facets.servers
+            .filter((server) => !filters.serverIds.includes(server.id))
+            .map((server) => (
+              <option key={server.id} value={server.id}>
+                {server.name}
+              </option>
+            ))}
+        </select>
+
+        <select
+          value=""
+          onChange={(e) =>
+            e.target.value && update({ channelIds: [...filters.channelIds, e.target.value] })
+          }
+        >
+          <option value="">Channel…</option>
+          {channelOptions.map((channel) => (
+            <option key={channel.id} value={channel.id}>
+              #{channel.name} ({channel.server})
+            </option>
+          ))}
+        </select>
+
+        <input
+          type="text"
+          placeholder="Author"
+          value={filters.author}
+          onChange={(e) => update({ author: e.target.value })}
+        />
+
+        <input
+          type="date"
+          title="From"
+          value={filters.from}
+          max={filters.to || undefined}
+          onChange={(e) => update({ from: e.target.value })}
+        />
+        <input
+          type="date"
+          title="To"
+          value={filters.to}
+          min={filters.from || undefined}
+          onChange={(e) => update({ to: e.target.value })}
+        />
+
+        <label className="filter-toggle">
+          <input
+            type="checkbox"
+            checked={filters.includeMuted}
+            onChange={(e) => update({ includeMuted: e.target.checked })}
+          />
+          Show muted
+        </label>
+
+        <label className="filter-toggle">
+          <input
+            type="checkbox"
+            checked={filters.bookmarked}
+            onChange={(e) => update({ bookmarked: e.target.checked })}
+          />
+          Saved only
+        </label>
+
+        <div className="view-toggle" role="group" aria-label="View">
+          {[
+            ['flat', 'Flat'],
+            ['grouped', 'Grouped']
+          ].map(([mode, label]) => (
+            <button
+              key={mode}
+              className={viewMode === mode ? 'active' : ''}
+              onClick={() => onViewModeChange(mode)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {/* Exports whatever the filters currently match */}
+        <select
+          className="export-select"
+          value=""
+          title="Export the filtered notifications"
+          onChange={(e) => e.target.value && onExport(e.target.value)}
+        >
+          <option value="">Export…</option>
+          <option value="json">JSON</option>
+          <option value="csv">CSV</option>
+          <option value="markdown">Markdown</option>
+        </select>
+      </div>
+
+      {chips.length > 0 && (
+        <div className="filter-chips">
+          {chips.map((chip) => (
+            <span key={chip.key} className="filter-chip">
+              {chip.label}
+              <button onClick={chip.remove} title="Remove filter">
+                ×
+              </button>
+            </span>
+          ))}
+          {/* Only a single server or channel can have a window of its own */}
+          {onPopout && getPopoutTarget(filters) && (
+            <button
+              className="popout-button"
+              onClick={onPopout}
+              title="Open this feed in its own window"
+            >
+              Pop out
+            </button>
+          )}
+          <button className="clear-filters" onClick={() => onChange(EMPTY_FILTERS)}>
+            Clear all
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+FeedFilters.propTypes = {
+  filters: PropTypes.shape({
+    text: PropTypes.string,
+    serverIds: PropTypes.arrayOf(PropTypes.string),
+    channelIds: PropTypes.arrayOf(PropTypes.string),
+    author: PropTypes.string,
+    from: PropTypes.string,
+    to: PropTypes.string,
+    includeMuted: PropTypes.bool,
+    bookmarked: PropTypes.bool
+  }).isRequired,
+  facets: PropTypes.shape({
+    servers: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.string,
+        name: PropTypes.string,
+        channels: PropTypes.arrayOf(
+          PropTypes.shape({ id: PropTypes.string, name: PropTypes.string })
+        )
+      })
+    )
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  onPopout: PropTypes.func,
+  onExport: PropTypes.func.isRequired,
+  viewMode: PropTypes.oneOf(['flat', 'grouped']).isRequired,
+  onViewModeChange: PropTypes.func.isRequired
+}
+
+export default FeedFilters
@@ -0,0 +1,51 @@
+import { useState, useEffect } from 'react'
+import PropTypes from 'prop-types'
+
+const formatMegabytes = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+
+// Size limit and usage of the avatar/icon cache, part of the settings modal
+const ImageCacheSettings = ({ sizeMb, sizeError, onSizeChange }) => {
+  const [usage, setUsage] = useState(null)
+
+  useEffect(() => {
+    window.api.discord.getImageCacheUsage().then(setUsage)
+  }, [])
+
+  const clearCache = async () => {
+    await window.api.discord.clearImageCache()
+    setUsage(await window.api.discord.getImageCacheUsage())
+  }
+
+  return (
+    <div className={`form-group ${sizeError ? 'has-error' : ''}`}>
+      <label htmlFor="imageCacheSizeMb">Image cache size (MB):</label>
+      <div className="api-token-row">
+        <input
+          type="number"
+          id="imageCacheSizeMb"
+          min="1"
+          value={sizeMb}
+          onChange={(e) => onSizeChange(e.target.value)}
+        />
+        <button onClick={clearCache} className="cancel-button" disabled={!usage?.files}>
+          Clear
+        </button>
+      </div>
+      {sizeError && <div className="validation-error">{sizeError}</div>}
+      {usage && (
+        <div className="api-help">
+          {usage.files} avatars, icons and emoji using {formatMegabytes(usage.bytes)}. The least
+          recently shown are removed when the cache is full.
+        </div>
+      )}
+    </div>
+  )
+}
+
+ImageCacheSettings.propTypes = {
+  sizeMb: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+  sizeError: PropTypes.string,
+  onSizeChange: PropTypes.func.isRequired
+}
+
+export default ImageCacheSettings
@@ -0,0 +1,100 @@
+import { useState, useEffect } from 'react'
+import PropTypes from 'prop-types'
+
+// Settings for the local HTTP/WebSocket API, part of the settings modal
+const LocalApiSettings = ({
+  enabled,
+  port,
+  token,
+  portError,
+  onEnabledChange,
+  onPortChange,
+  onRegenerateToken
+}) => {
+  const [status, setStatus] = useState(null)
+  const [copied, setCopied] = useState(false)
+
+  // Whether the server is actually running with the saved settings
+  useEffect(() => {
+    window.api.discord.getApiStatus().then(setStatus)
+  }, [])
+
+  const copyToken = async () => {
+    await navigator.clipboard.writeText(token)
+    setCopied(true)
+    setTimeout(() => setCopied(false), 1500)
+  }
+
+  return (
+    <div className="local-api-settings">
+      <div className="form-group checkbox-group">
+        <label>
+          <input
+            type="checkbox"
+            checked={enabled}
+            onChange={(e) => onEnabledChange(e.target.checked)}
+          />
+          Serve notifications to other apps on this computer
+        </label>
+      </div>
+
+      {enabled && (
+        <>
+          <div className={`form-group ${portError ? 'has-error' : ''}`}>
+            <label htmlFor="apiPort">Port:</label>
+            <input
+              type="number"
+              id="apiPort"
+              min="1024"
+              max="65535"
+              value={port}
+              onChange={(e) => onPortChange(e.target.value)}
+            />
+            {portError && <div className="validation-error">{portError}</div>}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="apiToken">Token:</label>
+            {token ? (
+              <div className="api-token-row">
+                <input type="text" id="apiToken" value={token} readOnly />
+                <button onClick={copyToken} className="cancel-button">
+                  {copied ? 'Copied' : 'Copy'}
+                </button>
+                <button onClick={onRegenerateToken} className="cancel-button">
+                  Regenerate
+                </button>
+              </div>
+            ) : (
+              <div className="api-help">A token is created when you save.</div>
+            )}
+          </div>
+
+          <div className="api-help">
+            <code>GET http://127.0.0.1:{port}/notifications</code> returns history and{' '}
+            <code>ws://127.0.0.1:{port}/stream</code> streams new notifications. Send the token as{' '}
+            <code>Authorization: Bearer &lt;token&gt;</code> or a <code>token</code> query
+            parameter.
+          </div>
+
+          {status?.error && (
+            <div className="validation-error">Server failed to start: {status.error}</div>
+          )}
+          {status?.running && <div className="api-help">Running on port {status.port}.</div>}
+        </>
+      )}
+    </div>
+  )
+}
+
+LocalApiSettings.propTypes = {
+  enabled: PropTypes.bool.isRequired,
+  port: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+  token: PropTypes.string,
+  portError: PropTypes.string,
+  onEnabledChange: PropTypes.func.isRequired,
+  onPortChange: PropTypes.func.isRequired,
+  onRegenerateToken: PropTypes.func.isRequired
+}
+
+export default LocalApiSettings
@@ -0,0 +1,150 @@
+import { useMemo, useState } from 'react'
+import PropTypes from 'prop-types'
+import { parseDiscordMarkdown, getEmojiUrl, formatDiscordTimestamp } from '../utils/discordMarkdown'
+
+// Hidden until clicked, like in Discord
+const Spoiler = ({ children }) => {
+  const [revealed, setRevealed] = useState(false)
+
+  return (
+    <span
+      className={revealed ? 'md-spoiler revealed' : 'md-spoiler'}
+      onClick={() => setRevealed(true)}
+      title={revealed ? undefined : 'Spoiler, click to reveal'}
+    >
+      {children}
+    </span>
+  )
+}
+
+Spoiler.propTypes = {
+  children: PropTypes.node
+}
+
+const renderNodes = (nodes, mentions) =>
+  nodes.map((node, index) => renderNode(node, index, mentions))
+
+const renderNode = (node, key, mentions) => {
+  const children = node.children && renderNodes(node.children, mentions)
+
+  switch (node.type) {
+    case 'text':
+      return node.content
+    case 'bold':
+      return <strong key={key}>{children}</strong>
+    case 'italic':
+      return <em key={key}>{children}</em>
+    case 'underline':
+      return <u key={key}>{children}</u>
+    case 'strikethrough':
+      return <s key={key}>{children}</s>
+    case 'spoiler':
+      return <Spoiler key={key}>{children}</Spoiler>
+    case 'inlineCode':
+      return (
+        <code key={key} className="md-code">
+          {node.content}
+        </code>
+      )
+    case 'codeBlock':
+      return (
+        <pre key={key} className="md-code-block" data-lang={node.lang || undefined}>
+          <code>{node.content}</code>
+        </pre>
+      )
+    case 'quote':
+      return (
+        <blockquote key={key} className="md-quote">
+          {children}
+        </blockquote>
+      )
+    case 'heading':
+      return (
+        <div key={key} className={`md-heading md-heading-${node.level}`}>
+          {children}
+        </div>
+      )
+    case 'subtext':
+      return (
+        <div key={key} className="md-subtext">
+          {children}
+        </div>
+      )
+    case 'user': {
+      const name = mentions?.users?.[node.id]
+      return (
+        <span key={key} className="md-mention" title={node.id}>
+          @{name || 'unknown-user'}
+        </span>
+      )
+    }
+    case 'channel': {
+      const name = mentions?.channels?.[node.id]
+      return (
+        <span key={key} className="md-mention" title={node.id}>
+          #{name || 'unknown-channel'}
+        </span>
+      )
+    }
+    // Role names aren't available over RPC
+    case 'role':
+      return (
+        <span key={key} className="md-mention" title={node.id}>
+          @role
+        </span>
+      )
+    case 'everyone':
+      return (
+        <span key={key} className="md-mention">
+          {node.content}
+        </span>
+      )
+    case 'emoji':
+      return (
+        <img
+          key={key}
+          className="md-emoji"
+          src={getEmojiUrl(node)}
+          alt={`:${node.name}:`}
+          title={`:${node.name}:`}
+        />
+      )
+    case 'timestamp':
+      return (
+        <time
+          key={key}
+          className="md-timestamp"
+          dateTime={new Date(node.time).toISOString()}
+          title={formatDiscordTimestamp(node.time, 'F')}
+        >
+          {formatDiscordTimestamp(node.time, node.style)}
+        </time>
+      )
+    // Opened in the browser by the main window's open handler
+    case 'link':
+      return (
+        <a key={key} href={node.url} target="_blank" rel="noreferrer" title={node.url}>
+          {children}
+        </a>
+      )
+    default:
+      return null
+  }
+}
+
+// A notification body with Discord's markdown, mentions, emoji and timestamps
+// rendered. `mentions` maps user and channel IDs to names.
+const MessageMarkup = ({ text, mentions }) => {
+  const nodes = useMemo(() => parseDiscordMarkdown(text), [text])
+  return renderNodes(nodes, mentions)
+}
+
+MessageMarkup.propTypes = {
+  text: PropTypes.string,
+  mentions: PropTypes.shape({
+    users: PropTypes.objectOf(PropTypes.string),
+    channels: PropTypes.objectOf(PropTypes.string)
+  })
+}
+
+export default MessageMarkup
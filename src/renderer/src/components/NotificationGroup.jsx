@@ -0,0 +1,112 @@
+import PropTypes from 'prop-types'
+import MessageMarkup from './MessageMarkup'
+import { getAvatarUrl } from '../utils/images'
+import { getNotificationKey } from '../utils/feedQuery'
+
+// Names to show for the people in a conversation, "Ana, Bo and 3 others"
+const formatParticipants = (notifications) => {
+  const names = [...new Set(notifications.map((n) => n.author?.name || 'Discord User'))]
+  if (names.length <= 3) return names.join(', ')
+  return `${names.slice(0, 2).join(', ')} and ${names.length - 2} others`
+}
+
+// Several notifications from one conversation collapsed into a single card.
+// `renderNotification` draws the individual notifications when it's expanded.
+const NotificationGroup = ({ notifications, expanded, onToggle, renderNotification }) => {
+  const latest = notifications[0]
+  const unreadIds = notifications.filter((n) => n.read === false).map((n) => n.id)
+  const channels = new Set(notifications.map((n) => n.channelId))
+  const location =
+    channels.size === 1
+      ? `${latest.serverName} • #${latest.channelName}`
+      : `${channels.size} channels`
+
+  const classNames = ['notification-item', 'notification-group']
+  if (notifications.some((n) => n.highlighted)) classNames.push('highlighted')
+  if (unreadIds.length) classNames.push('unread')
+
+  return (
+    <div className="notification-group-wrapper">
+      <div className={classNames.join(' ')}>
+        <div className="notification-header">
+          <img src={getAvatarUrl(latest.icon)} alt="Avatar" className="avatar" />
+          <div className="notification-user">
+            <span className="username">{formatParticipants(notifications)}</span>
+            <span className="timestamp">{new Date(latest.timestamp).toLocaleString()}</span>
+          </div>
+          <span className="group-count" title={`${notifications.length} notifications`}>
+            {notifications.length}
+          </span>
+        </div>
+
+        <div className="notification-content">
+          <div className="notification-body">
+            <strong>{latest.author?.name || 'Discord User'}:</strong>{' '}
+            {latest.deleted ? (
+              <span className="notification-deleted">This message was deleted.</span>
+            ) : (
+              <MessageMarkup text={latest.body} mentions={latest.mentions} />
+            )}
+          </div>
+        </div>
+
+        <div className="notification-meta">
+          <span className="server-info">{location}</span>
+          {latest.messageLink && (
+            <a
+              href="#"
+              onClick={(e) => {
+                e.preventDefault()
+                window.api.discord.openNotification(latest)
+              }}
+              className="message-link"
+            >
+              View in Discord
+            </a>
+          )}
+          <span className="read-actions">
+            {unreadIds.length > 0 && (
+              <button onClick={() => window.api.discord.markRead({ ids: unreadIds })}>
+                Mark read
+              </button>
+            )}
+            <button onClick={onToggle}>{expanded ? 'Collapse' : 'Show all'}</button>
+          </span>
+        </div>
+      </div>
+
+      {expanded && (
+        <div className="notification-group-items">
+          {notifications.map((notification) => (
+            <div key={getNotificationKey(notification)}>{renderNotification(notification)}</div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+NotificationGroup.propTypes = {
+  notifications: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      icon: PropTypes.string,
+      body: PropTypes.string,
+      timestamp: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+      serverName: PropTypes.string,
+      channelName: PropTypes.string,
+      channelId: PropTypes.string,
+      messageLink: PropTypes.string,
+      mentions: PropTypes.object,
+      author: PropTypes.shape({ name: PropTypes.string }),
+      highlighted: PropTypes.bool,
+      read: PropTypes.bool,
+      deleted: PropTypes.bool
+    })
+  ).isRequired,
+  expanded: PropTypes.bool,
+  onToggle: PropTypes.func.isRequired,
+  renderNotification: PropTypes.func.isRequired
+}
+
+export default NotificationGroup
@@ -0,0 +1,91 @@
+import PropTypes from 'prop-types'
+
+const STYLE_LABELS = {
+  toasts: 'Compact cards',
+  ticker: 'Scrolling ticker'
+}
+
+// Settings for the always-on-top overlay window, part of the settings modal
+const OverlaySettings = ({ overlay, onChange }) => {
+  const update = (changes) => onChange({ ...overlay, ...changes })
+
+  return (
+    <div className="overlay-settings">
+      <div className="form-group checkbox-group">
+        <label>
+          <input
+            type="checkbox"
+            checked={overlay.enabled}
+            onChange={(e) => update({ enabled: e.target.checked })}
+          />
+          Show the latest notifications in a small window on top of everything
+        </label>
+      </div>
+
+      {overlay.enabled && (
+        <>
+          <div className="form-group">
+            <label htmlFor="overlayStyle">Show them as:</label>
+            <select
+              id="overlayStyle"
+              value={overlay.style}
+              onChange={(e) => update({ style: e.target.value })}
+            >
+              {Object.entries(STYLE_LABELS).map(([style, label]) => (
+                <option key={style} value={style}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label htmlFor="overlayCount">Notifications shown:</label>
+            <input
+              type="number"
+              id="overlayCount"
+              min="1"
+              max="20"
+              value={overlay.count}
+              onChange={(e) => update({ count: e.target.value })}
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="overlayOpacity">Opacity: {Math.round(overlay.opacity * 100)}%</label>
+            <input
+              type="range"
+              id="overlayOpacity"
+              min="0.2"
+              max="1"
+              step="0.05"
+              value={overlay.opacity}
+              onChange={(e) => update({ opacity: Number(e.target.value) })}
+            />
+          </div>
+          <div className="form-group checkbox-group">
+            <label>
+              <input
+                type="checkbox"
+                checked={overlay.clickThrough}
+                onChange={(e) => update({ clickThrough: e.target.checked })}
+              />
+              Let clicks pass through it (turn this off again from the tray)
+            </label>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+OverlaySettings.propTypes = {
+  overlay: PropTypes.shape({
+    enabled: PropTypes.bool,
+    style: PropTypes.oneOf(Object.keys(STYLE_LABELS)),
+    count: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    opacity: PropTypes.number,
+    clickThrough: PropTypes.bool
+  }).isRequired,
+  onChange: PropTypes.func.isRequired
+}
+
+export default OverlaySettings
@@ -0,0 +1,89 @@
+import PropTypes from 'prop-types'
+import ReconnectStatus from './ReconnectStatus'
+
+const IDLE_CONNECTION = { state: 'idle', attempt: 0, retryAt: null, error: null }
+
+// Connect/disconnect controls in the header, one per profile. With a single
+// profile this is just the connect button; with several each control is
+// labelled with the profile's name and color.
+const ProfileConnections = ({
+  profiles,
+  connections,
+  onConnect,
+  onDisconnect,
+  onCancelReconnect
+}) => {
+  const showNames = profiles.length > 1
+
+  return (
+    <div className="profile-connections">
+      {profiles.map((profile) => {
+        const connection = connections[profile.id] || IDLE_CONNECTION
+        const isConnecting = connection.state === 'connecting' || connection.state === 'authorizing'
+        const name = showNames ? ` ${profile.name}` : ''
+        const connectLabel = showNames ? `Connect ${profile.name}` : 'Connect to Discord'
+        const style = showNames ? { borderLeft: `4px solid ${profile.color}` } : undefined
+
+        if (connection.state === 'connected') {
+          return (
+            <button
+              key={profile.id}
+              onClick={() => onDisconnect(profile.id)}
+              className="disconnect-btn"
+              style={style}
+            >
+              Disconnect{name}
+            </button>
+          )
+        }
+
+        if (connection.state === 'reconnecting') {
+          return (
+            <ReconnectStatus
+              key={profile.id}
+              label={showNames ? profile.name : null}
+              retryAt={connection.retryAt}
+              attempt={connection.attempt}
+              onCancel={() => onCancelReconnect(profile.id)}
+            />
+          )
+        }
+
+        return (
+          <button
+            key={profile.id}
+            onClick={() => onConnect(profile.id)}
+            disabled={isConnecting}
+            className={isConnecting ? 'connect-btn connecting' : 'connect-btn'}
+            style={style}
+          >
+            {isConnecting ? `Connecting${name}...` : connectLabel}
+          </button>
+        )
+      })}
+    </div>
+  )
+}
+
+ProfileConnections.propTypes = {
+  profiles: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string,
+      color: PropTypes.string
+    })
+  ).isRequired,
+  connections: PropTypes.objectOf(
+    PropTypes.shape({
+      state: PropTypes.string,
+      attempt: PropTypes.number,
+      retryAt: PropTypes.number,
+      error: PropTypes.string
+    })
+  ).isRequired,
+  onConnect: PropTypes.func.isRequired,
+  onDisconnect: PropTypes.func.isRequired,
+  onCancelReconnect: PropTypes.func.isRequired
+}
+
+export default ProfileConnections
@@ -0,0 +1,131 @@
+import PropTypes from 'prop-types'
+import { PIPE_IDS, createProfile } from '../utils/profiles'
+
+// Editor for the Discord application profiles shown in the settings modal
+const ProfilesEditor = ({ profiles, showValidation, onChange, onForgetAuthorization }) => {
+  const updateProfile = (id, changes) =>
+    onChange(profiles.map((profile) => (profile.id === id ? { ...profile, ...changes } : profile)))
+
+  const removeProfile = (profile) => {
+    const name = profile.name.trim() || 'this profile'
+    if (window.confirm(`Remove ${name}? Its notification history is deleted when you save.`)) {
+      onChange(profiles.filter((p) => p.id !== profile.id))
+    }
+  }
+
+  return (
+    <div className="profiles-editor">
+      {profiles.map((profile) => {
+        const missingName = showValidation && !profile.name.trim()
+        const missingId = showValidation && !profile.clientId.trim()
+        const missingSecret = showValidation && !profile.clientSecret.trim()
+
+        return (
+          <div key={profile.id} className="rule">
+            <div className="rule-row">
+              <input
+                type="color"
+                value={profile.color}
+                onChange={(e) => updateProfile(profile.id, { color: e.target.value })}
+                title="Badge color"
+              />
+              <input
+                type="text"
+                className={`rule-name ${missingName ? 'input-error' : ''}`}
+                placeholder="Profile name, e.g. Work"
+                value={profile.name}
+                onChange={(e) => updateProfile(profile.id, { name: e.target.value })}
+              />
+              <select
+                value={profile.pipeId ?? ''}
+                onChange={(e) =>
+                  updateProfile(profile.id, {
+                    pipeId: e.target.value === '' ? null : Number(e.target.value)
+                  })
+                }
+                title="Which running Discord client to connect to"
+              >
+                <option value="">Any Discord client</option>
+                {PIPE_IDS.map((pipeId) => (
+                  <option key={pipeId} value={pipeId}>
+                    Pipe {pipeId}
+                  </option>
+                ))}
+              </select>
+              {profiles.length > 1 && (
+                <button
+                  className="rule-remove"
+                  onClick={() => removeProfile(profile)}
+                  title="Remove profile"
+                >
+                  ×
+                </button>
+              )}
+            </div>
+
+            <div className="rule-row">
+              <input
+                type="text"
+                className={missingId ? 'input-error' : ''}
+                placeholder="Client ID"
+                value={profile.clientId}
+                onChange={(e) => updateProfile(profile.id, { clientId: e.target.value })}
+              />
+              <input
+                type="password"
+                className={missingSecret ? 'input-error' : ''}
+                placeholder="Client secret"
+                value={profile.clientSecret}
+                onChange={(e) => updateProfile(profile.id, { clientSecret: e.target.value })}
+              />
+            </div>
+            {(missingName || missingId || missingSecret) && (
+              <div className="validation-error">
+                Each profile needs a name, client ID and client secret
+              </div>
+            )}
+
+            {profile.hasAuthorization && (
+              <div className="authorization-group">
+                <span>This profile is authorized with Discord.</span>
+                <button onClick={() => onForgetAuthorization(profile.id)} className="cancel-button">
+                  Forget authorization
+                </button>
+              </div>
+            )}
+          </div>
+        )
+      })}
+
+      <button
+        className="add-rule-button"
+        onClick={() => onChange([...profiles, createProfile(profiles.length)])}
+      >
+        + Add profile
+      </button>
+      <p className="form-help">
+        Discord, PTB and Canary each take the first free pipe when they start, so pick a pipe to
+        connect a profile to a specific one.
+      </p>
+    </div>
+  )
+}
+
+ProfilesEditor.propTypes = {
+  profiles: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string,
+      clientId: PropTypes.string,
+      clientSecret: PropTypes.string,
+      pipeId: PropTypes.number,
+      color: PropTypes.string,
+      hasAuthorization: PropTypes.bool
+    })
+  ).isRequired,
+  showValidation: PropTypes.bool,
+  onChange: PropTypes.func.isRequired,
+  onForgetAuthorization: PropTypes.func.isRequired
+}
+
+export default ProfilesEditor
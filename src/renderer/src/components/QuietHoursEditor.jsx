@@ -0,0 +1,112 @@
+import PropTypes from 'prop-types'
+import { DAY_NAMES } from '../utils/stats'
+import { createQuietRange, isQuietRangeValid } from '../utils/quietHours'
+
+// Weekly Do Not Disturb schedule in the settings modal
+const QuietHoursEditor = ({ quietHours, showValidation, onChange }) => {
+  const { enabled, ranges } = quietHours
+
+  const updateRange = (index, changes) =>
+    onChange({
+      ...quietHours,
+      ranges: ranges.map((range, i) => (i === index ? { ...range, ...changes } : range))
+    })
+
+  const toggleDay = (index, day) => {
+    const { days } = ranges[index]
+    updateRange(index, {
+      days: days.includes(day) ? days.filter((d) => d !== day) : [...days, day].sort()
+    })
+  }
+
+  return (
+    <div className="quiet-hours-editor">
+      <div className="form-group checkbox-group">
+        <label>
+          <input
+            type="checkbox"
+            checked={enabled}
+            onChange={(e) => onChange({ ...quietHours, enabled: e.target.checked })}
+          />
+          Turn on Do Not Disturb on a schedule
+        </label>
+      </div>
+
+      {enabled && (
+        <>
+          {ranges.map((range, index) => (
+            <div key={index} className="rule">
+              <div className="rule-row">
+                <span className="quiet-days">
+                  {DAY_NAMES.map((name, day) => (
+                    <button
+                      key={name}
+                      className={range.days.includes(day) ? 'quiet-day selected' : 'quiet-day'}
+                      onClick={() => toggleDay(index, day)}
+                    >
+                      {name}
+                    </button>
+                  ))}
+                </span>
+                <input
+                  type="time"
+                  value={range.start}
+                  onChange={(e) => updateRange(index, { start: e.target.value })}
+                  title="From"
+                />
+                <span>to</span>
+                <input
+                  type="time"
+                  value={range.end}
+                  onChange={(e) => updateRange(index, { end: e.target.value })}
+                  title="Until, the next day if it's earlier"
+                />
+                <button
+                  className="rule-remove"
+                  onClick={() =>
+                    onChange({ ...quietHours, ranges: ranges.filter((_, i) => i !== index) })
+                  }
+                  title="Remove"
+                >
+                  ×
+                </button>
+              </div>
+              {showValidation && !isQuietRangeValid(range) && (
+                <div className="validation-error">Pick at least one day</div>
+              )}
+            </div>
+          ))}
+
+          <button
+            className="add-rule-button"
+            onClick={() => onChange({ ...quietHours, ranges: [...ranges, createQuietRange()] })}
+          >
+            + Add quiet hours
+          </button>
+          <p className="form-help">
+            Notifications are still saved during quiet hours, but webhooks, the tray badge and
+            desktop notifications wait unless a &quot;Break through&quot; rule matches. Ranges that
+            end earlier than they start run overnight.
+          </p>
+        </>
+      )}
+    </div>
+  )
+}
+
+QuietHoursEditor.propTypes = {
+  quietHours: PropTypes.shape({
+    enabled: PropTypes.bool,
+    ranges: PropTypes.arrayOf(
+      PropTypes.shape({
+        days: PropTypes.arrayOf(PropTypes.number),
+        start: PropTypes.string,
+        end: PropTypes.string
+      })
+    )
+  }).isRequired,
+  showValidation: PropTypes.bool,
+  onChange: PropTypes.func.isRequired
+}
+
+export default QuietHoursEditor
@@ -0,0 +1,35 @@
+import { useState, useEffect } from 'react'
+import PropTypes from 'prop-types'
+
+// "Reconnecting in 8s…" countdown with a cancel button, shown in the header.
+// `label` names the profile when there are several.
+const ReconnectStatus = ({ label, retryAt, attempt, onCancel }) => {
+  const [now, setNow] = useState(Date.now())
+
+  // Tick once a second while waiting for the next attempt
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [])
+
+  const secondsLeft = retryAt ? Math.ceil((retryAt - now) / 1000) : 0
+  const status = secondsLeft > 0 ? `Reconnecting in ${secondsLeft}s…` : 'Reconnecting…'
+
+  return (
+    <div className="reconnect-status" title={`Attempt ${attempt}`}>
+      <span>{label ? `${label}: ${status}` : status}</span>
+      <button onClick={onCancel} className="cancel-reconnect-btn">
+        Cancel
+      </button>
+    </div>
+  )
+}
+
+ReconnectStatus.propTypes = {
+  label: PropTypes.string,
+  retryAt: PropTypes.number,
+  attempt: PropTypes.number,
+  onCancel: PropTypes.func.isRequired
+}
+
+export default ReconnectStatus
@@ -0,0 +1,183 @@
+import PropTypes from 'prop-types'
+import { getPatternError, isRuleValid } from '../utils/rules'
+
+const ACTION_LABELS = {
+  highlight: 'Highlight',
+  mute: 'Mute (store but hide)',
+  drop: 'Drop entirely',
+  tag: 'Add tag',
+  breakthrough: 'Break through Do Not Disturb'
+}
+
+const createRule = () => ({
+  id: `${Date.now()}`,
+  name: '',
+  enabled: true,
+  serverId: '',
+  channelId: '',
+  author: '',
+  pattern: '',
+  action: 'highlight',
+  tagLabel: '',
+  tagColor: '#5865f2'
+})
+
+// Editor for the highlight/mute/drop/tag rules shown in the settings modal
+const RulesEditor = ({ rules, facets, showValidation, onChange }) => {
+  const updateRule = (id, changes) =>
+    onChange(rules.map((rule) => (rule.id === id ? { ...rule, ...changes } : rule)))
+
+  const removeRule = (id) => onChange(rules.filter((rule) => rule.id !== id))
+
+  return (
+    <div className="rules-editor">
+      {rules.length === 0 && (
+        <p className="form-help">
+          No rules yet. Rules can highlight, tag, mute or drop notifications by server, channel,
+          author or a pattern in the message.
+        </p>
+      )}
+
+      {rules.map((rule) => {
+        const server = facets.servers.find((s) => s.id === rule.serverId)
+        const channels = server
+          ? server.channels
+          : facets.servers.flatMap((s) =>
+              s.channels.map((c) => ({ ...c, name: `${c.name} (${s.name})` }))
+            )
+        const patternError = getPatternError(rule.pattern)
+        const missingCondition = showValidation && !isRuleValid(rule) && !patternError
+
+        return (
+          <div key={rule.id} className={`rule ${rule.enabled ? '' : 'rule-disabled'}`}>
+            <div className="rule-row">
+              <input
+                type="checkbox"
+                checked={rule.enabled}
+                onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })}
+                title="Enabled"
+              />
+              <input
+                type="text"
+                className="rule-name"
+                placeholder="Rule name"
+                value={rule.name}
+                onChange={(e) => updateRule(rule.id, { name: e.target.value })}
+              />
+              <select
+                value={rule.action}
+                onChange={(e) => updateRule(rule.id, { action: e.target.value })}
+              >
+                {Object.entries(ACTION_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <button
+                className="rule-remove"
+                onClick={() => removeRule(rule.id)}
+                title="Remove rule"
+              >
+                ×
+              </button>
+            </div>
+
+            {rule.action === 'tag' && (
+              <div className="rule-row">
+                <input
+                  type="text"
+                  placeholder="Tag label"
+                  value={rule.tagLabel}
+                  onChange={(e) => updateRule(rule.id, { tagLabel: e.target.value })}
+                />
+                <input
+                  type="color"
+                  value={rule.tagColor}
+                  onChange={(e) => updateRule(rule.id, { tagColor: e.target.value })}
+                  title="Tag color"
+                />
+              </div>
+            )}
+
+            <div className="rule-row">
+              <select
+                value={rule.serverId}
+                onChange={(e) => updateRule(rule.id, { serverId: e.target.value, channelId: '' })}
+              >
+                <option value="">Any server</option>
+                {facets.servers.map((s) => (
+                  <option key={s.id} value={s.id}>
+                    {s.name}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={rule.channelId}
+                onChange={(e) => updateRule(rule.id, { channelId: e.target.value })}
+              >
+                <option value="">Any channel</option>
+                {channels.map((c) => (
+                  <option key={c.id} value={c.id}>
+                    #{c.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div className="rule-row">
+              <input
+                type="text"
+                placeholder="Author contains"
+                value={rule.author}
+                onChange={(e) => updateRule(rule.id, { author: e.target.value })}
+              />
+              <input
+                type="text"
+                className={patternError ? 'input-error' : ''}
+                placeholder="Title/body regex, e.g. deploy|outage"
+                value={rule.pattern}
+                onChange={(e) => updateRule(rule.id, { pattern: e.target.value })}
+              />
+            </div>
+
+            {patternError && (
+              <div className="validation-error">Invalid pattern: {patternError}</div>
+            )}
+            {missingCondition && (
+              <div className="validation-error">Set at least one condition for this rule</div>
+            )}
+          </div>
+        )
+      })}
+
+      <button className="add-rule-button" onClick={() => onChange([...rules, createRule()])}>
+        + Add rule
+      </button>
+    </div>
+  )
+}
+
+RulesEditor.propTypes = {
+  rules: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string,
+      enabled: PropTypes.bool,
+      serverId: PropTypes.string,
+      channelId: PropTypes.string,
+      author: PropTypes.string,
+      pattern: PropTypes.string,
+      action: PropTypes.oneOf(Object.keys(ACTION_LABELS)),
+      tagLabel: PropTypes.string,
+      tagColor: PropTypes.string
+    })
+  ).isRequired,
+  facets: PropTypes.shape({
+    servers: PropTypes.array
+  }).isRequired,
+  showValidation: PropTypes.bool,
+  onChange: PropTypes.func.isRequired
+}
+
+export default RulesEditor
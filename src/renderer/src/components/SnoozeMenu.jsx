@@ -0,0 +1,68 @@
+import { useState } from 'react'
+import PropTypes from 'prop-types'
+import { SNOOZE_PRESETS, toDateTimeInputValue } from '../utils/snooze'
+
+// Snooze picker for a notification: a few presets or a time of your choosing
+const SnoozeMenu = ({ onSnooze }) => {
+  const [isPicking, setIsPicking] = useState(false)
+  const [customTime, setCustomTime] = useState('')
+
+  const customValue = customTime ? new Date(customTime).getTime() : NaN
+  const isCustomValid = customValue > Date.now()
+
+  const handleSelect = (key) => {
+    if (key === 'custom') {
+      setCustomTime(toDateTimeInputValue(Date.now() + 60 * 60 * 1000))
+      setIsPicking(true)
+      return
+    }
+    const preset = SNOOZE_PRESETS.find((p) => p.key === key)
+    if (preset) onSnooze(preset.getTime())
+  }
+
+  if (isPicking) {
+    return (
+      <span className="snooze-picker">
+        <input
+          type="datetime-local"
+          value={customTime}
+          min={toDateTimeInputValue(Date.now())}
+          onChange={(e) => setCustomTime(e.target.value)}
+        />
+        <button
+          disabled={!isCustomValid}
+          onClick={() => {
+            onSnooze(customValue)
+            setIsPicking(false)
+          }}
+        >
+          Snooze
+        </button>
+        <button onClick={() => setIsPicking(false)}>Cancel</button>
+      </span>
+    )
+  }
+
+  return (
+    <select
+      className="snooze-select"
+      value=""
+      onChange={(e) => handleSelect(e.target.value)}
+      title="Hide until later"
+    >
+      <option value="">Snooze…</option>
+      {SNOOZE_PRESETS.map((preset) => (
+        <option key={preset.key} value={preset.key}>
+          {preset.label}
+        </option>
+      ))}
+      <option value="custom">Pick a time…</option>
+    </select>
+  )
+}
+
+SnoozeMenu.propTypes = {
+  onSnooze: PropTypes.func.isRequired
+}
+
+export default SnoozeMenu
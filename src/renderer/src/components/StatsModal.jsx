@@ -0,0 +1,101 @@
+import { useState, useEffect } from 'react'
+import PropTypes from 'prop-types'
+import ActivityChart from './ActivityChart'
+import ActivityHeatmap from './ActivityHeatmap'
+import TopList from './TopList'
+import { STATS_RANGES, getRangeQuery, formatDuration } from '../utils/stats'
+
+const formatChannel = (channel) => `#${channel.name} (${channel.serverName})`
+
+// Activity over time, busiest hours, top sources and how quickly things get opened
+const StatsModal = ({ isOpen, onClose }) => {
+  const [rangeKey, setRangeKey] = useState('7d')
+  const [timeline, setTimeline] = useState(null)
+  const [summary, setSummary] = useState(null)
+
+  // Load both aggregations whenever the modal opens or the range changes
+  useEffect(() => {
+    if (!isOpen) return
+    let cancelled = false
+    const query = getRangeQuery(STATS_RANGES.find((range) => range.key === rangeKey))
+
+    Promise.all([
+      window.api.discord.getActivityTimeline(query),
+      window.api.discord.getActivitySummary(query)
+    ])
+      .then(([newTimeline, newSummary]) => {
+        if (cancelled) return
+        setTimeline(newTimeline)
+        setSummary(newSummary)
+      })
+      .catch((err) => console.error('Failed to load statistics:', err))
+
+    return () => {
+      cancelled = true
+    }
+  }, [isOpen, rangeKey])
+
+  if (!isOpen) return null
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content stats-modal">
+        <div className="modal-header">
+          <h2>Activity</h2>
+          <button onClick={onClose} className="close-button">
+            ×
+          </button>
+        </div>
+        <div className="modal-body">
+          <div className="stats-toolbar">
+            <select value={rangeKey} onChange={(e) => setRangeKey(e.target.value)}>
+              {STATS_RANGES.map((range) => (
+                <option key={range.key} value={range.key}>
+                  {range.label}
+                </option>
+              ))}
+            </select>
+            {summary && (
+              <span className="stats-totals">
+                {summary.total} notifications • {summary.openTimes.opened} opened • average{' '}
+                {formatDuration(summary.openTimes.averageMs)} to open (median{' '}
+                {formatDuration(summary.openTimes.medianMs)})
+              </span>
+            )}
+          </div>
+
+          {timeline && summary ? (
+            <>
+              <div className="form-group">
+                <label>Notifications per {timeline.bucket}:</label>
+                <ActivityChart buckets={timeline.buckets} bucket={timeline.bucket} />
+              </div>
+              <div className="form-group">
+                <label>Busiest hours:</label>
+                <ActivityHeatmap heatmap={summary.heatmap} />
+              </div>
+              <div className="top-lists">
+                <TopList title="Servers" entries={summary.topServers} />
+                <TopList
+                  title="Channels"
+                  entries={summary.topChannels}
+                  formatName={formatChannel}
+                />
+                <TopList title="Senders" entries={summary.topSenders} />
+              </div>
+            </>
+          ) : (
+            <p className="form-help">Loading…</p>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+StatsModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired
+}
+
+export default StatsModal
@@ -0,0 +1,39 @@
+import PropTypes from 'prop-types'
+
+// Ranked list with a bar showing each entry's share of the top one
+const TopList = ({ title, entries, formatName = (entry) => entry.name }) => {
+  const max = entries[0]?.count || 1
+
+  return (
+    <div className="top-list">
+      <h3>{title}</h3>
+      {entries.length === 0 ? (
+        <p className="form-help">Nothing yet.</p>
+      ) : (
+        <ol>
+          {entries.map((entry) => (
+            <li key={entry.id}>
+              <span className="top-list-bar" style={{ width: `${(entry.count / max) * 100}%` }} />
+              <span className="top-list-name">{formatName(entry)}</span>
+              <span className="top-list-count">{entry.count}</span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  )
+}
+
+TopList.propTypes = {
+  title: PropTypes.string.isRequired,
+  entries: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string,
+      count: PropTypes.number.isRequired
+    })
+  ).isRequired,
+  formatName: PropTypes.func
+}
+
+export default TopList
@@ -0,0 +1,54 @@
+import PropTypes from 'prop-types'
+
+// Unread totals with a counter per server, shown above the feed
+const UnreadSummary = ({ counts, onSelectServer, onMarkRead }) => {
+  if (!counts.total) return null
+
+  return (
+    <div className="unread-summary">
+      <span className="unread-total">{counts.total} unread</span>
+
+      {counts.servers.map((server) => (
+        <span key={server.id || 'unknown'} className="unread-server">
+          <button
+            className="unread-server-name"
+            onClick={() => server.id && onSelectServer(server.id)}
+            disabled={!server.id}
+            title={server.id ? `Show only ${server.name}` : undefined}
+          >
+            {server.name}
+            <span className="unread-badge">{server.count}</span>
+          </button>
+          <button
+            className="unread-server-clear"
+            onClick={() => onMarkRead({ serverId: server.id })}
+            title={`Mark ${server.name} as read`}
+          >
+            ✓
+          </button>
+        </span>
+      ))}
+
+      <button className="mark-all-read" onClick={() => onMarkRead({ all: true })}>
+        Mark all read
+      </button>
+    </div>
+  )
+}
+
+UnreadSummary.propTypes = {
+  counts: PropTypes.shape({
+    total: PropTypes.number,
+    servers: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.string,
+        name: PropTypes.string,
+        count: PropTypes.number
+      })
+    )
+  }).isRequired,
+  onSelectServer: PropTypes.func.isRequired,
+  onMarkRead: PropTypes.func.isRequired
+}
+
+export default UnreadSummary
@@ -0,0 +1,170 @@
+import { useState, useEffect, useLayoutEffect, useRef, useMemo } from 'react'
+import PropTypes from 'prop-types'
+
+// Wraps a row so its height is observed while it is mounted
+const MeasuredRow = ({ rowKey, observer, children }) => {
+  const rowRef = useRef(null)
+
+  useLayoutEffect(() => {
+    const element = rowRef.current
+    if (!observer || !element) return
+    observer.observe(element)
+    return () => observer.unobserve(element)
+  }, [observer])
+
+  return (
+    <div ref={rowRef} data-key={rowKey}>
+      {children}
+    </div>
+  )
+}
+
+MeasuredRow.propTypes = {
+  rowKey: PropTypes.string.isRequired,
+  observer: PropTypes.object,
+  children: PropTypes.node
+}
+
+// Work out which rows overlap the viewport, plus a few extra on each side
+const getVisibleRange = (offsets, scrollTop, viewportHeight, overscan) => {
+  const count = offsets.length - 1
+
+  // Binary search for the first row that ends below the top of the viewport
+  let low = 0
+  let high = count
+  while (low < high) {
+    const mid = (low + high) >> 1
+    if (offsets[mid + 1] <= scrollTop) {
+      low = mid + 1
+    } else {
+      high = mid
+    }
+  }
+
+  let end = low
+  while (end < count && offsets[end] < scrollTop + viewportHeight) {
+    end++
+  }
+
+  return [Math.max(0, low - overscan), Math.min(count, end + overscan)]
+}
+
+// A scrolling list that only renders the rows near the viewport. Rows can have
+// different heights, each one is measured once it is rendered and an estimate is
+// used until then.
+const VirtualList = ({
+  items,
+  getKey,
+  renderItem,
+  estimatedItemHeight = 120,
+  overscan = 5,
+  endReachedThreshold = 600,
+  onEndReached,
+  footer,
+  className
+}) => {
+  const containerRef = useRef(null)
+  // Measured row heights by key
+  const [heights, setHeights] = useState(() => new Map())
+  const [observer, setObserver] = useState(null)
+  const previousFirstKeyRef = useRef(null)
+  const [scrollTop, setScrollTop] = useState(0)
+  const [viewportHeight, setViewportHeight] = useState(0)
+
+  // Watch row sizes so images loading or text wrapping updates the layout
+  useEffect(() => {
+    const resizeObserver = new ResizeObserver((entries) => {
+      const measured = entries.map((entry) => [entry.target.dataset.key, entry.target.offsetHeight])
+      setHeights((previous) => {
+        const changed = measured.filter(
+          ([key, height]) => key !== undefined && height && previous.get(key) !== height
+        )
+        return changed.length ? new Map([...previous, ...changed]) : previous
+      })
+    })
+    setObserver(resizeObserver)
+    return () => resizeObserver.disconnect()
+  }, [])
+
+  // Track the viewport size
+  useEffect(() => {
+    const container = containerRef.current
+    const resizeObserver = new ResizeObserver(() => setViewportHeight(container.clientHeight))
+    resizeObserver.observe(container)
+    setViewportHeight(container.clientHeight)
+    return () => resizeObserver.disconnect()
+  }, [])
+
+  // Offset of every row from the top of the list
+  const offsets = useMemo(() => {
+    const result = new Array(items.length + 1)
+    result[0] = 0
+    for (let i = 0; i < items.length; i++) {
+      const height = heights.get(getKey(items[i])) ?? estimatedItemHeight
+      result[i + 1] = result[i] + height
+    }
+    return result
+  }, [items, getKey, estimatedItemHeight, heights])
+
+  const totalHeight = offsets[items.length]
+
+  // Keep the visible rows in place when new items are added above them. A
+  // measurement alone leaves the first row where it was, so that's a no-op.
+  useLayoutEffect(() => {
+    const container = containerRef.current
+    const previousFirstKey = previousFirstKeyRef.current
+    previousFirstKeyRef.current = items.length ? getKey(items[0]) : null
+
+    if (!previousFirstKey || container.scrollTop === 0) return
+    const index = items.findIndex((item) => getKey(item) === previousFirstKey)
+    if (index > 0) {
+      container.scrollTop += offsets[index]
+    }
+  }, [items, getKey, offsets])
+
+  // Ask for more once we scroll near the end
+  useEffect(() => {
+    if (!onEndReached || !items.length) return
+    if (scrollTop + viewportHeight >= totalHeight - endReachedThreshold) {
+      onEndReached()
+    }
+  }, [scrollTop, viewportHeight, totalHeight, endReachedThreshold, onEndReached, items.length])
+
+  const [startIndex, endIndex] = getVisibleRange(offsets, scrollTop, viewportHeight, overscan)
+
+  return (
+    <div
+      ref={containerRef}
+      className={className}
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+    >
+      <div style={{ height: totalHeight, position: 'relative' }}>
+        <div style={{ position: 'absolute', top: offsets[startIndex], left: 0, right: 0 }}>
+          {items.slice(startIndex, endIndex).map((item) => {
+            const key = getKey(item)
+            return (
+              <MeasuredRow key={key} rowKey={key} observer={observer}>
+                {renderItem(item)}
+              </MeasuredRow>
+            )
+          })}
+        </div>
+      </div>
+      {footer}
+    </div>
+  )
+}
+
+VirtualList.propTypes = {
+  items: PropTypes.array.isRequired,
+  getKey: PropTypes.func.isRequired,
+  renderItem: PropTypes.func.isRequired,
+  estimatedItemHeight: PropTypes.number,
+  overscan: PropTypes.number,
+  endReachedThreshold: PropTypes.number,
+  onEndReached: PropTypes.func,
+  footer: PropTypes.node,
+  className: PropTypes.string
+}
+
+export default VirtualList
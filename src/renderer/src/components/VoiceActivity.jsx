@@ -0,0 +1,126 @@
+import { useState, useEffect } from 'react'
+import PropTypes from 'prop-types'
+import { getAvatarUrl } from '../utils/images'
+import { describeVoiceEvent, formatVoiceChannel } from '../utils/voice'
+
+const memberShape = PropTypes.shape({
+  id: PropTypes.string,
+  name: PropTypes.string,
+  avatar: PropTypes.string,
+  muted: PropTypes.bool,
+  deafened: PropTypes.bool
+})
+
+// Who's in a voice channel you're in right now
+const VoiceChannelCard = ({ channel, profileName }) => (
+  <div className="voice-channel">
+    <div className="voice-channel-header">
+      <span className="voice-channel-name">{formatVoiceChannel(channel)}</span>
+      {profileName && <span className="voice-channel-profile">{profileName}</span>}
+    </div>
+    <ul className="voice-members">
+      {channel.members.map((member) => (
+        <li key={member.id} className="voice-member">
+          <img src={getAvatarUrl(member.avatar)} alt="" className="voice-avatar" />
+          <span className="voice-member-name">{member.name}</span>
+          {member.muted && <span className="voice-member-state">muted</span>}
+          {member.deafened && <span className="voice-member-state">deafened</span>}
+        </li>
+      ))}
+    </ul>
+  </div>
+)
+
+VoiceChannelCard.propTypes = {
+  channel: PropTypes.shape({
+    channelName: PropTypes.string,
+    serverName: PropTypes.string,
+    members: PropTypes.arrayOf(memberShape).isRequired
+  }).isRequired,
+  profileName: PropTypes.string
+}
+
+// The voice channels you're in and a timeline of joins, leaves, mutes and
+// connection changes, kept by the main process
+const VoiceActivity = ({ profiles }) => {
+  const [events, setEvents] = useState([])
+  const [current, setCurrent] = useState([])
+
+  useEffect(() => {
+    window.api.discord.getVoiceActivity().then((activity) => {
+      setEvents(activity.events)
+      setCurrent(activity.current)
+    })
+
+    return window.api.discord.onVoiceActivity(({ event, current }) => {
+      if (event) setEvents((previous) => [event, ...previous])
+      setCurrent(current)
+    })
+  }, [])
+
+  const clearTimeline = async () => {
+    await window.api.discord.clearVoiceActivity()
+    setEvents([])
+  }
+
+  // With a single profile there's no need to say whose channel it is
+  const getProfileName = (profileId) =>
+    profiles.length > 1 ? profiles.find((profile) => profile.id === profileId)?.name : null
+
+  return (
+    <div className="voice-activity">
+      {current.length === 0 ? (
+        <p className="form-help">You&apos;re not in a voice channel.</p>
+      ) : (
+        current.map((channel) => (
+          <VoiceChannelCard
+            key={channel.profileId}
+            channel={channel}
+            profileName={getProfileName(channel.profileId)}
+          />
+        ))
+      )}
+
+      <div className="voice-timeline-header">
+        <span>Timeline</span>
+        {events.length > 0 && (
+          <button className="clear-filters" onClick={clearTimeline}>
+            Clear
+          </button>
+        )}
+      </div>
+
+      {events.length === 0 ? (
+        <p className="form-help">
+          Joins, leaves, mutes and deafens in your voice channel will show up here.
+        </p>
+      ) : (
+        <ul className="voice-timeline">
+          {events.map((event) => (
+            <li key={event.id} className={`voice-event ${event.type}`}>
+              <span className="voice-event-time">{new Date(event.timestamp).toLocaleString()}</span>
+              {event.type !== 'connection' && (
+                <img src={getAvatarUrl(event.avatar)} alt="" className="voice-avatar" />
+              )}
+              <span className="voice-event-text">{describeVoiceEvent(event)}</span>
+              {getProfileName(event.profileId) && (
+                <span className="voice-channel-profile">{getProfileName(event.profileId)}</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+VoiceActivity.propTypes = {
+  profiles: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string
+    })
+  ).isRequired
+}
+
+export default VoiceActivity
@@ -0,0 +1,195 @@
+import { useState } from 'react'
+import PropTypes from 'prop-types'
+import { getPatternError } from '../utils/rules'
+import { WEBHOOK_PRESETS, TEMPLATE_FIELDS, getUrlError } from '../utils/webhooks'
+
+// One forwarding target in the webhooks modal: where to send, what to send and
+// which notifications to send
+const WebhookEditor = ({ webhook, facets, showValidation, saveError, onChange, onRemove }) => {
+  // Result of the last preview or test send, { type, text }
+  const [result, setResult] = useState(null)
+
+  const update = (changes) => onChange({ ...webhook, ...changes })
+
+  const server = facets.servers.find((s) => s.id === webhook.serverId)
+  const channels = server
+    ? server.channels
+    : facets.servers.flatMap((s) =>
+        s.channels.map((c) => ({ ...c, name: `${c.name} (${s.name})` }))
+      )
+  const patternError = getPatternError(webhook.pattern)
+  // `saveError` is what the main process said when saving
+  const urlError = showValidation ? getUrlError(webhook.url) || saveError : null
+
+  const applyPreset = (key) => {
+    const preset = WEBHOOK_PRESETS[key]
+    if (preset) update({ template: preset.template, contentType: preset.contentType })
+  }
+
+  const handlePreview = async () => {
+    const preview = await window.api.discord.previewWebhook({
+      template: webhook.template,
+      contentType: webhook.contentType
+    })
+    setResult(
+      preview.success
+        ? { type: 'preview', text: preview.payload }
+        : { type: 'error', text: `Template error: ${preview.error}` }
+    )
+  }
+
+  const handleTest = async () => {
+    setResult({ type: 'info', text: 'Sending…' })
+    const test = await window.api.discord.testWebhook(webhook)
+    setResult(
+      test.success
+        ? { type: 'info', text: `Delivered (HTTP ${test.statusCode})` }
+        : { type: 'error', text: `Failed: ${test.error}` }
+    )
+  }
+
+  return (
+    <div className={`rule ${webhook.enabled ? '' : 'rule-disabled'}`}>
+      <div className="rule-row">
+        <input
+          type="checkbox"
+          checked={webhook.enabled}
+          onChange={(e) => update({ enabled: e.target.checked })}
+          title="Enabled"
+        />
+        <input
+          type="text"
+          className="rule-name"
+          placeholder="Name"
+          value={webhook.name}
+          onChange={(e) => update({ name: e.target.value })}
+        />
+        <select value="" onChange={(e) => applyPreset(e.target.value)} title="Use a preset">
+          <option value="">Preset…</option>
+          {Object.entries(WEBHOOK_PRESETS).map(([key, preset]) => (
+            <option key={key} value={key}>
+              {preset.label}
+            </option>
+          ))}
+        </select>
+        <button className="rule-remove" onClick={onRemove} title="Remove webhook">
+          ×
+        </button>
+      </div>
+
+      <div className="rule-row">
+        <input
+          type="text"
+          className={urlError ? 'input-error' : ''}
+          placeholder="https://example.com/webhook"
+          value={webhook.url}
+          onChange={(e) => update({ url: e.target.value })}
+        />
+        <select
+          value={webhook.contentType}
+          onChange={(e) => update({ contentType: e.target.value })}
+          title="Content type"
+        >
+          <option value="application/json">JSON</option>
+          <option value="text/plain">Plain text</option>
+        </select>
+      </div>
+      {urlError && <div className="validation-error">{urlError}</div>}
+
+      <textarea
+        className="webhook-template"
+        rows={5}
+        value={webhook.template}
+        onChange={(e) => update({ template: e.target.value })}
+        spellCheck={false}
+      />
+      <div className="api-help">
+        Fields: {TEMPLATE_FIELDS.map((field) => `{{${field}}}`).join(' ')}
+      </div>
+
+      <div className="rule-row">
+        <select
+          value={webhook.serverId}
+          onChange={(e) => update({ serverId: e.target.value, channelId: '' })}
+        >
+          <option value="">Any server</option>
+          {facets.servers.map((s) => (
+            <option key={s.id} value={s.id}>
+              {s.name}
+            </option>
+          ))}
+        </select>
+        <select value={webhook.channelId} onChange={(e) => update({ channelId: e.target.value })}>
+          <option value="">Any channel</option>
+          {channels.map((c) => (
+            <option key={c.id} value={c.id}>
+              #{c.name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="rule-row">
+        <input
+          type="text"
+          placeholder="Author contains"
+          value={webhook.author}
+          onChange={(e) => update({ author: e.target.value })}
+        />
+        <input
+          type="text"
+          className={patternError ? 'input-error' : ''}
+          placeholder="Title/body regex"
+          value={webhook.pattern}
+          onChange={(e) => update({ pattern: e.target.value })}
+        />
+      </div>
+      {patternError && <div className="validation-error">Invalid pattern: {patternError}</div>}
+
+      <div className="rule-row">
+        <button className="add-rule-button" onClick={handlePreview}>
+          Preview
+        </button>
+        <button
+          className="add-rule-button"
+          onClick={handleTest}
+          disabled={!!getUrlError(webhook.url)}
+        >
+          Send test
+        </button>
+      </div>
+      {result &&
+        (result.type === 'preview' ? (
+          <pre className="webhook-preview">{result.text}</pre>
+        ) : (
+          <div className={result.type === 'error' ? 'validation-error' : 'api-help'}>
+            {result.text}
+          </div>
+        ))}
+    </div>
+  )
+}
+
+WebhookEditor.propTypes = {
+  webhook: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string,
+    enabled: PropTypes.bool,
+    url: PropTypes.string,
+    contentType: PropTypes.string,
+    template: PropTypes.string,
+    serverId: PropTypes.string,
+    channelId: PropTypes.string,
+    author: PropTypes.string,
+    pattern: PropTypes.string
+  }).isRequired,
+  facets: PropTypes.shape({
+    servers: PropTypes.array
+  }).isRequired,
+  showValidation: PropTypes.bool,
+  saveError: PropTypes.string,
+  onChange: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired
+}
+
+export default WebhookEditor
@@ -0,0 +1,58 @@
+import PropTypes from 'prop-types'
+
+const STATUS_LABELS = {
+  delivered: 'Delivered',
+  retrying: 'Will retry',
+  failed: 'Failed'
+}
+
+// Recent webhook delivery attempts, newest first
+const WebhookLog = ({ log, pending, onClear }) => (
+  <div className="webhook-log">
+    <div className="webhook-log-header">
+      <span>{pending > 0 ? `${pending} deliveries waiting` : 'Nothing waiting to be sent'}</span>
+      {log.length > 0 && (
+        <button className="clear-filters" onClick={onClear}>
+          Clear log
+        </button>
+      )}
+    </div>
+
+    {log.length === 0 ? (
+      <p className="form-help">No deliveries yet.</p>
+    ) : (
+      <ul className="webhook-log-list">
+        {log.map((entry) => (
+          <li key={entry.id} className={`webhook-log-entry ${entry.status}`}>
+            <span className="webhook-log-time">{new Date(entry.at).toLocaleString()}</span>
+            <span className="webhook-log-name">{entry.webhookName}</span>
+            <span className="webhook-log-status">
+              {STATUS_LABELS[entry.status]}
+              {entry.statusCode ? ` (${entry.statusCode})` : ''}
+              {entry.attempt > 1 ? `, attempt ${entry.attempt}` : ''}
+            </span>
+            {entry.error && <span className="webhook-log-error">{entry.error}</span>}
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+)
+
+WebhookLog.propTypes = {
+  log: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      webhookName: PropTypes.string,
+      status: PropTypes.oneOf(Object.keys(STATUS_LABELS)),
+      statusCode: PropTypes.number,
+      attempt: PropTypes.number,
+      error: PropTypes.string,
+      at: PropTypes.number
+    })
+  ).isRequired,
+  pending: PropTypes.number.isRequired,
+  onClear: PropTypes.func.isRequired
+}
+
+export default WebhookLog
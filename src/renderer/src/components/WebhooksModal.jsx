@@ -0,0 +1,120 @@
+import { useState, useEffect } from 'react'
+import PropTypes from 'prop-types'
+import WebhookEditor from './WebhookEditor'
+import WebhookLog from './WebhookLog'
+import { getPatternError } from '../utils/rules'
+import { createWebhook, getUrlError } from '../utils/webhooks'
+
+// Forwarding targets and their delivery log
+const WebhooksModal = ({ isOpen, onClose, facets }) => {
+  const [webhooks, setWebhooks] = useState([])
+  const [logState, setLogState] = useState({ log: [], pending: 0 })
+  const [showValidation, setShowValidation] = useState(false)
+  // URL errors the main process sent back on save, by webhook id
+  const [urlErrors, setUrlErrors] = useState({})
+
+  // Start from the saved webhooks each time the modal opens
+  useEffect(() => {
+    if (!isOpen) return
+    setShowValidation(false)
+    setUrlErrors({})
+    window.api.discord.getWebhooks().then(setWebhooks)
+    window.api.discord.getWebhookLog().then(setLogState)
+    return window.api.discord.onWebhookLogChange(setLogState)
+  }, [isOpen])
+
+  const handleSave = async () => {
+    const isValid = webhooks.every(
+      (webhook) => !getUrlError(webhook.url) && !getPatternError(webhook.pattern)
+    )
+    if (!isValid) {
+      setShowValidation(true)
+      return
+    }
+
+    try {
+      const result = await window.api.discord.updateWebhooks(webhooks)
+      if (!result.success) {
+        setUrlErrors(result.urlErrors || {})
+        setShowValidation(true)
+        return
+      }
+      onClose()
+    } catch (err) {
+      console.error('Failed to save webhooks:', err)
+    }
+  }
+
+  const handleClearLog = async () => {
+    setLogState(await window.api.discord.clearWebhookLog())
+  }
+
+  if (!isOpen) return null
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content">
+        <div className="modal-header">
+          <h2>Webhooks</h2>
+          <button onClick={onClose} className="close-button">
+            ×
+          </button>
+        </div>
+        <div className="modal-body">
+          <div className="form-group">
+            <label>Forward notifications to:</label>
+            {webhooks.length === 0 && (
+              <p className="form-help">
+                No webhooks yet. Matching notifications are posted to each webhook and retried if
+                the target is down.
+              </p>
+            )}
+            {webhooks.map((webhook) => (
+              <WebhookEditor
+                key={webhook.id}
+                webhook={webhook}
+                facets={facets}
+                showValidation={showValidation}
+                saveError={urlErrors[webhook.id]}
+                onChange={(updated) => {
+                  setWebhooks((prev) => prev.map((w) => (w.id === updated.id ? updated : w)))
+                  if (updated.url !== webhook.url) {
+                    setUrlErrors((prev) => ({ ...prev, [updated.id]: undefined }))
+                  }
+                }}
+                onRemove={() => setWebhooks((prev) => prev.filter((w) => w.id !== webhook.id))}
+              />
+            ))}
+            <button
+              className="add-rule-button"
+              onClick={() => setWebhooks((prev) => [...prev, createWebhook()])}
+            >
+              + Add webhook
+            </button>
+          </div>
+
+          <div className="form-group">
+            <label>Delivery log:</label>
+            <WebhookLog log={logState.log} pending={logState.pending} onClear={handleClearLog} />
+          </div>
+        </div>
+        <div className="modal-footer">
+          <button onClick={onClose} className="cancel-button">
+            Cancel
+          </button>
+          <button onClick={handleSave} className="save-button">
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+WebhooksModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  facets: PropTypes.object.isRequired
+}
+
+export default WebhooksModal
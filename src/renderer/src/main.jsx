@@ -3,9 +3,13 @@ import './assets/main.css'
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App'
+import { getPopoutScope } from './utils/feedQuery'
+
+// Set in pop-out windows, which show a single server or channel
+const popout = getPopoutScope(window.location.search)
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    <App popout={popout} />
   </React.StrictMode>
 )
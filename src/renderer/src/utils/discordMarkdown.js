@@ -0,0 +1,201 @@
+import { toCachedImageUrl } from './images'
+
+// Parser for the subset of Discord's markdown that shows up in notification
+// bodies. It produces a tree of plain nodes that MessageMarkup turns into React
+// elements, so nothing from the message is ever treated as HTML.
+
+// Deeper nesting than this is shown as plain text
+const MAX_DEPTH = 8
+
+const SECOND_MS = 1000
+const MINUTE_MS = 60 * SECOND_MS
+const HOUR_MS = 60 * MINUTE_MS
+const DAY_MS = 24 * HOUR_MS
+
+// Each rule is tried in order at every position. `lineStart` rules only match
+// at the start of a line and `block` rules aren't used inside a quote.
+// The regexes are sticky so they only match at the current position.
+const RULES = [
+  {
+    regex: /```(?:([\w+#.-]+)?\n)?([\s\S]*?)```\n?/y,
+    parse: (m) => ({ type: 'codeBlock', lang: m[1] || '', content: m[2].replace(/\n$/, '') })
+  },
+  {
+    lineStart: true,
+    block: true,
+    regex: />>> ([\s\S]*)/y,
+    parse: (m, parseInner) => ({ type: 'quote', children: parseInner(m[1], true) })
+  },
+  {
+    lineStart: true,
+    block: true,
+    regex: /(?:> [^\n]*(?:\n|$))+/y,
+    parse: (m, parseInner) => ({
+      type: 'quote',
+      children: parseInner(m[0].replace(/^> /gm, '').replace(/\n$/, ''), true)
+    })
+  },
+  {
+    lineStart: true,
+    regex: /(#{1,3}) +([^\n]+)\n?/y,
+    parse: (m, parseInner) => ({
+      type: 'heading',
+      level: m[1].length,
+      children: parseInner(m[2])
+    })
+  },
+  {
+    lineStart: true,
+    regex: /-# +([^\n]+)\n?/y,
+    parse: (m, parseInner) => ({ type: 'subtext', children: parseInner(m[1]) })
+  },
+  {
+    regex: /(`+)([\s\S]*?[^`])\1(?!`)/y,
+    parse: (m) => ({ type: 'inlineCode', content: m[2] })
+  },
+  { regex: /\\([^\w\s])/y, parse: (m) => ({ type: 'text', content: m[1] }) },
+  { regex: /<@!?(\d+)>/y, parse: (m) => ({ type: 'user', id: m[1] }) },
+  { regex: /<@&(\d+)>/y, parse: (m) => ({ type: 'role', id: m[1] }) },
+  { regex: /<#(\d+)>/y, parse: (m) => ({ type: 'channel', id: m[1] }) },
+  {
+    regex: /<(a?):(\w+):(\d+)>/y,
+    parse: (m) => ({ type: 'emoji', animated: m[1] === 'a', name: m[2], id: m[3] })
+  },
+  {
+    regex: /<t:(-?\d{1,13})(?::([tTdDfFR]))?>/y,
+    parse: (m) => {
+      const time = Number(m[1]) * SECOND_MS
+      return Number.isNaN(new Date(time).getTime())
+        ? { type: 'text', content: m[0] }
+        : { type: 'timestamp', time, style: m[2] || 'f' }
+    }
+  },
+  { regex: /@(everyone|here)\b/y, parse: (m) => ({ type: 'everyone', content: m[0] }) },
+  {
+    regex: /\[([^[\]\n]+)\]\(<?(https?:\/\/[^\s()<>]+)>?\)/y,
+    parse: (m, parseInner) => ({ type: 'link', url: m[2], children: parseInner(m[1]) })
+  },
+  {
+    regex: /<(https?:\/\/[^\s>]+)>/y,
+    parse: (m) => ({ type: 'link', url: m[1], children: [{ type: 'text', content: m[1] }] })
+  },
+  {
+    regex: /https?:\/\/[^\s<]+[^\s<.,:;"'!?)\]]/y,
+    parse: (m) => ({ type: 'link', url: m[0], children: [{ type: 'text', content: m[0] }] })
+  },
+  {
+    regex: /\|\|([\s\S]+?)\|\|/y,
+    parse: (m, parseInner) => ({ type: 'spoiler', children: parseInner(m[1]) })
+  },
+  {
+    regex: /\*\*([\s\S]+?)\*\*(?!\*)/y,
+    parse: (m, parseInner) => ({ type: 'bold', children: parseInner(m[1]) })
+  },
+  {
+    regex: /__([\s\S]+?)__(?!_)/y,
+    parse: (m, parseInner) => ({ type: 'underline', children: parseInner(m[1]) })
+  },
+  {
+    regex: /\*(?=\S)([\s\S]*?\S)\*(?!\*)/y,
+    parse: (m, parseInner) => ({ type: 'italic', children: parseInner(m[1]) })
+  },
+  {
+    // snake_case words stay as they are
+    wordStart: true,
+    regex: /_([\s\S]+?)_(?![A-Za-z0-9])/y,
+    parse: (m, parseInner) => ({ type: 'italic', children: parseInner(m[1]) })
+  },
+  {
+    regex: /~~([\s\S]+?)~~/y,
+    parse: (m, parseInner) => ({ type: 'strikethrough', children: parseInner(m[1]) })
+  }
+]
+
+// Plain text up to the next character a rule could start with. Newlines are
+// kept apart so line-start rules get a look at the next line.
+const TEXT = /\n|[^\n][^`\\<@[|*_~\nh]*/y
+
+const parse = (source, depth, inQuote) => {
+  if (depth > MAX_DEPTH) return [{ type: 'text', content: source }]
+
+  const nodes = []
+  const parseInner = (inner, quote) => parse(inner, depth + 1, inQuote || quote)
+  let index = 0
+
+  while (index < source.length) {
+    const previous = source[index - 1]
+    let node = null
+
+    for (const rule of RULES) {
+      if (rule.lineStart && index > 0 && previous !== '\n') continue
+      if (rule.block && inQuote) continue
+      if (rule.wordStart && previous && /[A-Za-z0-9]/.test(previous)) continue
+
+      rule.regex.lastIndex = index
+      const match = rule.regex.exec(source)
+      if (!match) continue
+
+      node = rule.parse(match, parseInner)
+      index += match[0].length
+      break
+    }
+
+    if (!node) {
+      TEXT.lastIndex = index
+      const match = TEXT.exec(source)
+      node = { type: 'text', content: match[0] }
+      index += match[0].length
+    }
+
+    // Merge runs of text so the renderer gets one string instead of many
+    const last = nodes[nodes.length - 1]
+    if (node.type === 'text' && last?.type === 'text') {
+      last.content += node.content
+    } else {
+      nodes.push(node)
+    }
+  }
+
+  return nodes
+}
+
+export const parseDiscordMarkdown = (source) => parse(source || '', 0, false)
+
+// Custom emoji images come from Discord's CDN, through the image cache
+export const getEmojiUrl = (emoji) =>
+  toCachedImageUrl(
+    `https://cdn.discordapp.com/emojis/${emoji.id}.${emoji.animated ? 'gif' : 'webp'}?size=44`
+  )
+
+const TIMESTAMP_FORMATS = {
+  t: { timeStyle: 'short' },
+  T: { timeStyle: 'medium' },
+  d: { dateStyle: 'short' },
+  D: { dateStyle: 'long' },
+  f: { dateStyle: 'long', timeStyle: 'short' },
+  F: { dateStyle: 'full', timeStyle: 'short' }
+}
+
+const RELATIVE_UNITS = [
+  ['year', 365 * DAY_MS],
+  ['month', 30 * DAY_MS],
+  ['day', DAY_MS],
+  ['hour', HOUR_MS],
+  ['minute', MINUTE_MS],
+  ['second', SECOND_MS]
+]
+
+// Text for a <t:...> timestamp in one of Discord's styles, "R" being relative
+export const formatDiscordTimestamp = (time, style) => {
+  if (style !== 'R') {
+    return new Date(time).toLocaleString(undefined, TIMESTAMP_FORMATS[style] || TIMESTAMP_FORMATS.f)
+  }
+
+  const diff = time - Date.now()
+  const [unit, unitMs] =
+    RELATIVE_UNITS.find(([, ms]) => Math.abs(diff) >= ms) || RELATIVE_UNITS.at(-1)
+  return new Intl.RelativeTimeFormat(undefined, { numeric: 'auto' }).format(
+    Math.round(diff / unitMs),
+    unit
+  )
+}
@@ -0,0 +1,99 @@
+// Filter values with nothing selected
+export const EMPTY_FILTERS = {
+  text: '',
+  serverIds: [],
+  channelIds: [],
+  author: '',
+  from: '',
+  to: '',
+  includeMuted: false,
+  // Only bookmarked notifications
+  bookmarked: false
+}
+
+// Whether any filter besides the defaults is set
+export const hasActiveFilters = (filters) =>
+  Boolean(
+    filters.text.trim() ||
+      filters.serverIds.length ||
+      filters.channelIds.length ||
+      filters.author.trim() ||
+      filters.from ||
+      filters.to ||
+      filters.bookmarked
+  )
+
+// Convert the filter form into the query the main process expects
+export const toQuery = (filters) => ({
+  text: filters.text,
+  serverIds: filters.serverIds,
+  channelIds: filters.channelIds,
+  author: filters.author,
+  includeMuted: filters.includeMuted,
+  bookmarked: filters.bookmarked,
+  // Date inputs give local calendar days, cover the whole day on both ends
+  from: filters.from ? new Date(`${filters.from}T00:00:00`).getTime() : undefined,
+  to: filters.to ? new Date(`${filters.to}T23:59:59.999`).getTime() : undefined
+})
+
+// Pop-out windows open the page with the server or channel they show in the
+// URL. Returns their title and the query every search is narrowed to, or null
+// in the main window.
+export const getPopoutScope = (search) => {
+  const params = new URLSearchParams(search)
+  const title = params.get('title') || 'Discord Feed'
+  if (params.get('channelId')) return { title, query: { channelIds: [params.get('channelId')] } }
+  if (params.get('serverId')) return { title, query: { serverIds: [params.get('serverId')] } }
+  return null
+}
+
+// Whether a notification belongs in a pop-out's feed
+export const matchesScope = (notification, scope) =>
+  !scope ||
+  (scope.query.channelIds
+    ? scope.query.channelIds.includes(notification.channelId)
+    : scope.query.serverIds.includes(notification.serverId))
+
+// Only the server, or the channel, a pop-out shows is offered in its filters
+export const scopeFacets = (facets, scope) => {
+  if (!scope) return facets
+  const { serverIds, channelIds } = scope.query
+  return {
+    ...facets,
+    servers: serverIds
+      ? facets.servers.filter((server) => serverIds.includes(server.id))
+      : facets.servers
+          .map((server) => ({
+            ...server,
+            channels: server.channels.filter((channel) => channelIds.includes(channel.id))
+          }))
+          .filter((server) => server.channels.length > 0)
+  }
+}
+
+// The server or channel the filters narrow down to, if it's exactly one, so it
+// can be popped out into its own window
+export const getPopoutTarget = (filters) => {
+  if (filters.channelIds.length === 1) return { channelId: filters.channelIds[0] }
+  if (filters.serverIds.length === 1 && filters.channelIds.length === 0) {
+    return { serverId: filters.serverIds[0] }
+  }
+  return null
+}
+
+// Tells notifications apart in lists. A message id alone isn't enough, every
+// profile connected to the same account has its own copy.
+export const getNotificationKey = (notification) => `${notification.profileId}:${notification.id}`
+
+// Add a live notification to a newest first list, where its timestamp puts it.
+// One that's already listed is replaced, so a repeated event can't show twice.
+// With `hasMore` the list is only the first pages, and one older than all of
+// them is left for paging to bring in where it belongs.
+export const insertNotification = (list, notification, hasMore = false) => {
+  const key = getNotificationKey(notification)
+  const rest = list.filter((n) => getNotificationKey(n) !== key)
+  const time = new Date(notification.timestamp).getTime()
+  const index = rest.findIndex((n) => new Date(n.timestamp).getTime() <= time)
+  if (index === -1) return hasMore ? rest : [...rest, notification]
+  return [...rest.slice(0, index), notification, ...rest.slice(index)]
+}
@@ -0,0 +1,40 @@
+import { getNotificationKey } from './feedQuery'
+
+// Authors sending several messages in a row across channels are grouped if each
+// came within this long of the one before
+export const AUTHOR_GROUP_WINDOW_MS = 5 * 60 * 1000
+
+const toTime = (timestamp) => new Date(timestamp).getTime()
+
+// Whether `next` (older) continues the conversation `previous` (newer) is in
+const belongsTogether = (previous, next) => {
+  if (previous.channelId && previous.channelId === next.channelId) return true
+  return (
+    Boolean(previous.author?.name) &&
+    previous.author.name === next.author?.name &&
+    Math.abs(toTime(previous.timestamp) - toTime(next.timestamp)) <= AUTHOR_GROUP_WINDOW_MS
+  )
+}
+
+// Collapse runs of notifications (newest first) into conversation groups. Each
+// group is keyed by its oldest notification, which doesn't change as new ones
+// arrive at the top.
+export const groupNotifications = (notifications) => {
+  const groups = []
+  let current = null
+
+  for (const notification of notifications) {
+    const last = current?.notifications[current.notifications.length - 1]
+    if (last && belongsTogether(last, notification)) {
+      current.notifications.push(notification)
+    } else {
+      current = { notifications: [notification] }
+      groups.push(current)
+    }
+  }
+
+  return groups.map((group) => ({
+    key: getNotificationKey(group.notifications[group.notifications.length - 1]),
+    notifications: group.notifications
+  }))
+}
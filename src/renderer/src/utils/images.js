@@ -0,0 +1,10 @@
+// Images from Discord's CDN are loaded through the main process's disk cache
+// (see imageCache.js) instead of straight from the CDN
+const CDN_PREFIX = 'https://cdn.discordapp.com/'
+const CACHE_PREFIX = 'discord-image://cdn/'
+
+export const toCachedImageUrl = (url) =>
+  url?.startsWith(CDN_PREFIX) ? CACHE_PREFIX + url.slice(CDN_PREFIX.length) : null
+
+// Avatars from anywhere else can't be cached, so they get the default one
+export const getAvatarUrl = (url) => toCachedImageUrl(url) || `${CACHE_PREFIX}embed/avatars/0.png`
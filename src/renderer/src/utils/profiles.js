@@ -0,0 +1,17 @@
+// Badge colors offered for new profiles, starting with Discord's blurple
+export const PROFILE_COLORS = ['#5865f2', '#3ba55c', '#faa61a', '#eb459e', '#ed4245', '#00aff4']
+
+// Discord listens on the first free pipe out of discord-ipc-0 to discord-ipc-9
+export const PIPE_IDS = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]
+
+export const createProfile = (index) => ({
+  id: `${Date.now()}`,
+  name: '',
+  clientId: '',
+  clientSecret: '',
+  pipeId: null,
+  color: PROFILE_COLORS[index % PROFILE_COLORS.length]
+})
+
+export const isProfileValid = (profile) =>
+  Boolean(profile.name.trim() && profile.clientId.trim() && profile.clientSecret.trim())
@@ -0,0 +1,34 @@
+const HOUR_MS = 60 * 60 * 1000
+
+// Quick choices for turning Do Not Disturb on by hand
+export const DND_PRESETS = [
+  { key: '1h', label: 'For 1 hour', getTime: () => Date.now() + HOUR_MS },
+  {
+    key: 'tomorrow',
+    label: 'Until tomorrow morning',
+    getTime: () => {
+      const date = new Date()
+      date.setDate(date.getDate() + 1)
+      date.setHours(9, 0, 0, 0)
+      return date.getTime()
+    }
+  }
+]
+
+// New quiet hours ranges start as weeknights
+export const createQuietRange = () => ({ days: [0, 1, 2, 3, 4], start: '22:00', end: '08:00' })
+
+// A range needs at least one day to apply to
+export const isQuietRangeValid = (range) => range.days.length > 0
+
+// "14:30" today, or with the day when it isn't today
+export const formatUntil = (time) => {
+  const date = new Date(time)
+  const isToday = date.toDateString() === new Date().toDateString()
+  return date.toLocaleString(
+    undefined,
+    isToday
+      ? { hour: 'numeric', minute: '2-digit' }
+      : { weekday: 'short', hour: 'numeric', minute: '2-digit' }
+  )
+}
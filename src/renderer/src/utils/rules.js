@@ -0,0 +1,15 @@
+// Returns an error message if the pattern isn't a valid regular expression
+export const getPatternError = (pattern) => {
+  if (!pattern) return null
+  try {
+    new RegExp(pattern, 'i')
+    return null
+  } catch (error) {
+    return error.message
+  }
+}
+
+// A rule needs at least one condition and a valid pattern
+export const isRuleValid = (rule) =>
+  Boolean(rule.serverId || rule.channelId || rule.author?.trim() || rule.pattern) &&
+  !getPatternError(rule.pattern)
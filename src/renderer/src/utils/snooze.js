@@ -0,0 +1,25 @@
+const MINUTE_MS = 60 * 1000
+const HOUR_MS = 60 * MINUTE_MS
+
+// The next `daysAhead` day at 9am local time
+const morning = (daysAhead) => {
+  const date = new Date()
+  date.setDate(date.getDate() + daysAhead)
+  date.setHours(9, 0, 0, 0)
+  return date.getTime()
+}
+
+// Quick choices in the snooze menu, each gives the time to come back at
+export const SNOOZE_PRESETS = [
+  { key: '15m', label: '15 minutes', getTime: () => Date.now() + 15 * MINUTE_MS },
+  { key: '1h', label: '1 hour', getTime: () => Date.now() + HOUR_MS },
+  { key: '3h', label: '3 hours', getTime: () => Date.now() + 3 * HOUR_MS },
+  { key: 'tomorrow', label: 'Tomorrow morning', getTime: () => morning(1) },
+  { key: 'week', label: 'Next week', getTime: () => morning(7) }
+]
+
+// Value for a datetime-local input, which wants local time without a zone
+export const toDateTimeInputValue = (time) => {
+  const date = new Date(time)
+  return new Date(date.getTime() - date.getTimezoneOffset() * MINUTE_MS).toISOString().slice(0, 16)
+}
@@ -0,0 +1,40 @@
+const HOUR_MS = 60 * 60 * 1000
+const DAY_MS = 24 * HOUR_MS
+
+// Time ranges offered in the stats view, short ranges are counted per hour
+export const STATS_RANGES = [
+  { key: '24h', label: 'Last 24 hours', durationMs: DAY_MS, bucket: 'hour' },
+  { key: '7d', label: 'Last 7 days', durationMs: 7 * DAY_MS, bucket: 'hour' },
+  { key: '30d', label: 'Last 30 days', durationMs: 30 * DAY_MS, bucket: 'day' },
+  { key: '90d', label: 'Last 90 days', durationMs: 90 * DAY_MS, bucket: 'day' },
+  { key: 'all', label: 'All time', durationMs: null, bucket: 'day' }
+]
+
+export const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+// Query for the stats IPC calls covering a range up to now
+export const getRangeQuery = (range) => ({
+  from: range.durationMs ? Date.now() - range.durationMs : undefined,
+  bucket: range.bucket
+})
+
+// Short human duration, "45s", "12m", "3h 20m" or "2d 4h"
+export const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return '–'
+  const seconds = Math.round(ms / 1000)
+  if (seconds < 60) return `${seconds}s`
+  const minutes = Math.round(seconds / 60)
+  if (minutes < 60) return `${minutes}m`
+  const hours = Math.floor(minutes / 60)
+  if (hours < 24) return minutes % 60 ? `${hours}h ${minutes % 60}m` : `${hours}h`
+  const days = Math.floor(hours / 24)
+  return hours % 24 ? `${days}d ${hours % 24}h` : `${days}d`
+}
+
+// Label for the start of a timeline bucket
+export const formatBucket = (start, bucket) => {
+  const date = new Date(start)
+  return bucket === 'hour'
+    ? date.toLocaleString(undefined, { weekday: 'short', hour: 'numeric' })
+    : date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })
+}
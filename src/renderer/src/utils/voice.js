@@ -0,0 +1,32 @@
+// Text for the voice activity timeline
+
+const CONNECTION_LABELS = {
+  VOICE_CONNECTED: 'Voice connected',
+  VOICE_DISCONNECTED: 'Voice disconnected',
+  NO_ROUTE: 'No route to the voice server'
+}
+
+const ACTION_LABELS = {
+  joined: 'joined',
+  left: 'left',
+  muted: 'muted',
+  unmuted: 'unmuted',
+  deafened: 'deafened',
+  undeafened: 'undeafened'
+}
+
+export const formatVoiceChannel = (channel) =>
+  channel.serverName
+    ? `#${channel.channelName || 'unknown'} (${channel.serverName})`
+    : `#${channel.channelName || 'unknown'}`
+
+// "Alice joined #General (My Server)", "Bob muted", "Voice connected"
+export const describeVoiceEvent = (event) => {
+  if (event.type === 'connection') return CONNECTION_LABELS[event.detail] || event.detail
+
+  const name = event.isSelf ? 'You' : event.userName || 'Someone'
+  const action = ACTION_LABELS[event.type] || event.type
+  return event.type === 'joined' || event.type === 'left'
+    ? `${name} ${action} ${formatVoiceChannel(event)}`
+    : `${name} ${action}`
+}
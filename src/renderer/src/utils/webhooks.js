@@ -0,0 +1,67 @@
+// Starting points for common webhook targets. Templates use {{field}} placeholders
+// filled in from the notification, see getTemplateFields in the main process.
+export const WEBHOOK_PRESETS = {
+  discord: {
+    label: 'Discord webhook',
+    contentType: 'application/json',
+    template:
+      '{\n  "username": "Discord Feed",\n  "content": "**{{author}}** in {{serverName}} #{{channelName}}\\n{{body}}\\n{{messageLink}}"\n}'
+  },
+  slack: {
+    label: 'Slack webhook',
+    contentType: 'application/json',
+    template:
+      '{\n  "text": "*{{author}}* in {{serverName}} #{{channelName}}\\n{{body}}\\n<{{messageLink}}|View in Discord>"\n}'
+  },
+  ntfy: {
+    label: 'ntfy topic',
+    contentType: 'text/plain',
+    template: '{{author}} in #{{channelName}}: {{body}}'
+  },
+  json: {
+    label: 'Generic JSON',
+    contentType: 'application/json',
+    template:
+      '{\n  "id": "{{id}}",\n  "title": "{{title}}",\n  "body": "{{body}}",\n  "author": "{{author}}",\n  "serverName": "{{serverName}}",\n  "channelName": "{{channelName}}",\n  "messageLink": "{{messageLink}}",\n  "timestamp": "{{timestamp}}"\n}'
+  }
+}
+
+export const TEMPLATE_FIELDS = [
+  'id',
+  'title',
+  'body',
+  'author',
+  'authorAvatar',
+  'icon',
+  'serverName',
+  'serverId',
+  'channelName',
+  'channelId',
+  'messageLink',
+  'timestamp',
+  'tags'
+]
+
+export const createWebhook = () => ({
+  id: `${Date.now()}`,
+  name: '',
+  enabled: true,
+  url: '',
+  contentType: WEBHOOK_PRESETS.discord.contentType,
+  template: WEBHOOK_PRESETS.discord.template,
+  serverId: '',
+  channelId: '',
+  author: '',
+  pattern: ''
+})
+
+// Returns an error message if the URL can't be posted to
+export const getUrlError = (url) => {
+  if (!url.trim()) return 'URL is required'
+  try {
+    const { protocol } = new URL(url.trim())
+    return protocol === 'http:' || protocol === 'https:' ? null : 'Use an http or https URL'
+  } catch {
+    return 'Not a valid URL'
+  }
+}